@@ -80,10 +80,561 @@ const BASE_PAN_SPEED_MULTIPLIER = 1; // Normal speed
 const SHIFT_PAN_SPEED_MULTIPLIER = 3; // Double speed when Shift is held
 const BASE_ZOOM_MULTIPLIER = 1.2;
 const SHIFT_ZOOM_MULTIPLIER = 3.6;
+const MIN_MAX_SCALE = 10; // The maximum zoom never drops below 10x the image's pixel size
+const TAP_TOLERANCE = 10; // Pixels a finger may move before a tap becomes a drag
+const DOUBLE_TAP_DELAY = 300;
+const SWIPE_DISTANCE = 60;
+const SWIPE_MAX_DURATION = 600;
+const MOMENTUM_FRICTION = 0.95;
+const MOMENTUM_MIN_VELOCITY = 0.5;
+const FILMSTRIP_HEIGHT = 90; // Height reserved below the image for the filmstrip, in pixels
+const LOUPE_SIZE = 160; // Size of the inspector loupe, in pixels
+const LOUPE_PIXELS = 15; // Number of image pixels across the loupe
+const LOUPE_OFFSET = 24; // Distance between the cursor and the loupe
+const BYTES_PER_PIXEL = 4; // Decoded images are held as RGBA
+const THUMBNAIL_MIN_HEIGHT = 150; // Thumbnails are decoded at the tray height, but never smaller than this
+const PLACEHOLDER_HEIGHT = 100; // Height of the empty canvas shown until a thumbnail is drawn
+const BATCH_MOUNT_MARGIN = "100%"; // Batches within one tray length of the view are kept mounted
+const GALLERY_GAP = 4; // Space between the header and images of a gallery batch, as set in its CSS
+const GALLERY_SIDE_PADDING = 4; // Left and right padding of a gallery batch, as set in its CSS
+const GALLERY_BOTTOM_PADDING = 8; // Bottom padding of a gallery batch, as set in its CSS
+const THUMBNAIL_CACHE_SIZE = 200; // Decoded thumbnails kept for batches that scroll back into view
+const MAX_COMPARE_PANES = 4; // Current image plus up to three pinned images
+const VIDEO_EXTENSIONS = ["mp4", "webm", "mov", "mkv", "m4v", "avi"];
+const DEFAULT_FRAME_RATE = 24; // Used for frame stepping when the output does not report a frame rate
+const COMPARE_MODES = ["side", "swipe", "onion", "difference"];
+const COMPARE_MODE_LABELS = {
+  side: "Side by side",
+  swipe: "Swipe",
+  onion: "Onion skin",
+  difference: "Difference",
+};
+const CHANNEL_MODES = ["rgb", "r", "g", "b", "a"];
+const CHANNEL_MODE_LABELS = {
+  rgb: "RGB",
+  r: "Red channel",
+  g: "Green channel",
+  b: "Blue channel",
+  a: "Alpha channel",
+};
+// Colour matrices that show a single channel as greyscale, used as SVG filters
+const CHANNEL_MATRICES = {
+  r: "1 0 0 0 0  1 0 0 0 0  1 0 0 0 0  0 0 0 0 1",
+  g: "0 1 0 0 0  0 1 0 0 0  0 1 0 0 0  0 0 0 0 1",
+  b: "0 0 1 0 0  0 0 1 0 0  0 0 1 0 0  0 0 0 0 1",
+  a: "0 0 0 1 0  0 0 0 1 0  0 0 0 1 0  0 0 0 0 1", // Opaque, so transparent pixels show as black
+};
+const HISTOGRAM_WIDTH = 256;
+const HISTOGRAM_HEIGHT = 100;
+const SEAM_WIDTH = 1.5; // Width of the tile seam lines on screen, in pixels
+
+/**
+ * Converts an RGB color to HSL.
+ *
+ * @param {number} r - Red, 0-255.
+ * @param {number} g - Green, 0-255.
+ * @param {number} b - Blue, 0-255.
+ * @returns {{h: number, s: number, l: number}} - Hue in degrees, saturation and lightness in percent.
+ */
+function rgbToHsl(r, g, b) {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  const delta = max - min;
+
+  if (delta === 0) {
+    return { h: 0, s: 0, l: Math.round(lightness * 100) };
+  }
+
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  let hue;
+  if (max === red) {
+    hue = ((green - blue) / delta) % 6;
+  } else if (max === green) {
+    hue = (blue - red) / delta + 2;
+  } else {
+    hue = (red - green) / delta + 4;
+  }
+
+  return {
+    h: Math.round((hue * 60 + 360) % 360),
+    s: Math.round(saturation * 100),
+    l: Math.round(lightness * 100),
+  };
+}
+
+/**
+ * Returns the filename encoded in a ComfyUI /view URL, falling back to the URL itself.
+ *
+ * @param {string} url - The image URL.
+ * @returns {string} - The filename of the image.
+ */
+function getFilenameFromUrl(url) {
+  try {
+    return new URL(url, window.location.origin).searchParams.get("filename") || url;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Splits comma-separated tags, dropping blanks and case-insensitive duplicates.
+ *
+ * @param {string} text - The tags as typed, e.g. `hands, redo`.
+ * @returns {string[]} - The trimmed tags in their original order.
+ */
+function parseTags(text) {
+  const seen = new Set();
+  return text
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+const MAX_RATING = 5;
+const TOAST_DURATION = 2500;
+const SAVE_SCALES = [0.25, 0.5, 0.75, 1, 2];
+const SAVE_FORMATS = [
+  { label: "JPEG", type: "image/jpeg", extension: "jpg" },
+  { label: "WebP", type: "image/webp", extension: "webp" },
+  { label: "PNG", type: "image/png", extension: "png" },
+];
+
+/**
+ * Builds a download filename from a ComfyUI /view URL, prefixed with its subfolder.
+ *
+ * @param {string} url - The image URL.
+ * @param {string} [extension] - Replaces the original extension when the image is converted.
+ * @returns {string} - The filename, e.g. `subfolder_ComfyUI_00001_.png`.
+ */
+function getDownloadFilename(url, extension) {
+  const params = new URL(url, window.location.origin).searchParams;
+  const subfolder = params.get("subfolder") || "";
+  let filename = params.get("filename") || "image.png";
+
+  if (extension) {
+    filename = `${filename.replace(/\.[^.]+$/, "")}.${extension}`;
+  }
+
+  // Browsers do not allow path separators in download names
+  return [...subfolder.split(/[\\/]/), filename].filter(Boolean).join("_");
+}
+
+/**
+ * Starts a browser download of the given URL.
+ *
+ * @param {string} href - The URL or object URL to download.
+ * @param {string} filename - The name to save the file as.
+ */
+function downloadUrl(href, filename) {
+  const a = document.createElement('a');
+  a.href = href;
+  a.download = filename;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+}
+
+let crc32Table = null;
+
+/**
+ * Calculates the CRC-32 checksum that ZIP archives store for each file.
+ *
+ * @param {Uint8Array} data - The file contents.
+ * @returns {number} - The unsigned checksum.
+ */
+function crc32(data) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crc32Table[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crc32Table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds a ZIP archive in the browser. Files are stored uncompressed, as images are already
+ * compressed, and are added one at a time so they can be fetched as the archive is built.
+ * The archive is not streamed: every file is held in memory until the Blob is assembled at the
+ * end, so peak memory is the size of all the files plus any copy the browser makes for the Blob.
+ *
+ * @param {AsyncIterable<{path: string, data: Uint8Array, date?: Date}>} files - The files to add.
+ * @returns {Promise<Blob>} - The archive.
+ */
+async function createZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for await (const { path, data, date = new Date() } of files) {
+    const name = encoder.encode(path);
+    const checksum = crc32(data);
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    // Local file header, followed by the name and the data
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true); // Version needed to extract
+    header.setUint16(6, 0x0800, true); // Names are UTF-8
+    header.setUint16(8, 0, true); // Stored
+    header.setUint16(10, time, true);
+    header.setUint16(12, day, true);
+    header.setUint32(14, checksum, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, name.length, true);
+    parts.push(header, name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true); // Version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, day, true);
+    entry.setUint32(16, checksum, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    centralDirectory.push(entry, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  // End of central directory record
+  const directorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, centralDirectory.length / 2, true);
+  end.setUint16(10, centralDirectory.length / 2, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], { type: "application/zip" });
+}
+
+/**
+ * Re-encodes an image in another format and size using an offscreen canvas.
+ *
+ * @param {string} url - The image URL.
+ * @param {Object} options - The conversion options.
+ * @param {string} options.type - The target MIME type.
+ * @param {number} [options.quality] - The quality between 0 and 1 for lossy formats.
+ * @param {number} [options.scale=1] - The factor to resize the image by.
+ * @returns {Promise<Blob>} - The converted image.
+ */
+async function convertImage(url, { type, quality, scale = 1 }) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status}`);
+  }
+
+  const bitmap = await createImageBitmap(await response.blob());
+  const width = Math.max(Math.round(bitmap.width * scale), 1);
+  const height = Math.max(Math.round(bitmap.height * scale), 1);
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+
+  // JPEG has no alpha channel, so flatten transparency onto white instead of black
+  if (type === "image/jpeg") {
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  return canvas.convertToBlob({ type, quality });
+}
+
+/**
+ * Shows a short-lived message at the bottom of the screen, above the tray and lightbox.
+ *
+ * @param {string} message - The message to show.
+ */
+function showToast(message) {
+  const toast = document.createElement("div");
+  toast.className = "tb-toast";
+  toast.textContent = message;
+  // Only the fullscreen element and its children are drawn while the lightbox is fullscreen
+  (document.fullscreenElement ?? document.body).appendChild(toast);
+  setTimeout(() => toast.remove(), TOAST_DURATION);
+}
+
+/**
+ * Copies an image to the system clipboard as a PNG and reports the outcome in a toast.
+ *
+ * @param {string} url - The image URL.
+ */
+async function copyImageToClipboard(url) {
+  try {
+    if (!navigator.clipboard?.write || typeof ClipboardItem === "undefined") {
+      throw new Error("The Clipboard API requires HTTPS or localhost.");
+    }
+    // Pass the conversion as a promise so Safari keeps the user gesture; clipboards only accept PNG
+    await navigator.clipboard.write([
+      new ClipboardItem({ "image/png": convertImage(url, { type: "image/png" }) }),
+    ]);
+    showToast("Image copied to clipboard");
+  } catch (error) {
+    console.error("Failed to copy image:", error);
+    showToast(`Failed to copy image: ${error.message}`);
+  }
+}
+
+/**
+ * Copies text to the system clipboard and reports the outcome in a toast. Falls back to
+ * `execCommand` where the Clipboard API is unavailable (plain HTTP on the LAN).
+ *
+ * @param {string} text - The text to copy.
+ * @param {string} [successMessage="Copied to clipboard"] - The message shown on success.
+ */
+async function copyTextToClipboard(text, successMessage = "Copied to clipboard") {
+  try {
+    if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(text);
+    } else {
+      const textArea = document.createElement("textarea");
+      textArea.value = text;
+      textArea.style.position = "fixed";
+      textArea.style.opacity = "0";
+      (document.fullscreenElement ?? document.body).appendChild(textArea);
+      textArea.select();
+      const isCopied = document.execCommand("copy");
+      textArea.remove();
+      if (!isCopied) throw new Error("Copy command was rejected.");
+    }
+    showToast(successMessage);
+  } catch (error) {
+    console.error("Failed to copy text:", error);
+    showToast(`Failed to copy: ${error.message}`);
+  }
+}
+
+/**
+ * Checks whether the open workflow has changes that loading another workflow would discard.
+ *
+ * @returns {boolean} - True if the workflow is modified, or if modification tracking is unavailable
+ * and the graph is not empty.
+ */
+function hasUnsavedWorkflowChanges() {
+  const activeWorkflow = app.extensionManager?.workflow?.activeWorkflow ?? app.workflowManager?.activeWorkflow;
+  if (activeWorkflow && "isModified" in activeWorkflow) return Boolean(activeWorkflow.isModified);
+  if (activeWorkflow && "unsaved" in activeWorkflow) return Boolean(activeWorkflow.unsaved);
+  return (app.graph?._nodes?.length ?? 0) > 0;
+}
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const SAMPLER_NODE_INPUTS = ["steps", "cfg", "sampler_name"];
+const MODEL_NODE_INPUTS = ["ckpt_name", "unet_name", "model_name"];
+const TEXT_NODE_INPUTS = ["text", "text_g", "text_l", "string", "value", "conditioning", "conditioning_1", "conditioning_to"];
+const MAX_LINK_DEPTH = 10;
+
+/**
+ * Determines how a feed file is displayed from its /view URL or filename.
+ *
+ * @param {string} url - The file URL or filename.
+ * @returns {"video"|"image"} - "video" for files that need a <video> element.
+ */
+function getMediaKind(url) {
+  const extension = getFilenameFromUrl(url).split(".").pop().toLowerCase();
+  return VIDEO_EXTENSIONS.includes(extension) ? "video" : "image";
+}
+
+/**
+ * Returns the intrinsic size of an image or video element.
+ *
+ * @param {HTMLImageElement|HTMLVideoElement} element - The media element.
+ * @returns {{width: number, height: number}} - The size in pixels, zero while unknown.
+ */
+function getMediaSize(element) {
+  if (element instanceof HTMLVideoElement) {
+    return { width: element.videoWidth, height: element.videoHeight };
+  }
+  return { width: element.naturalWidth, height: element.naturalHeight };
+}
+
+/**
+ * Collects every displayable file from a node's output: images, animated images and the
+ * gifs/videos outputs written by video-combine style nodes.
+ *
+ * @param {Object} output - The `output` of an `executed` event.
+ * @returns {Object[]} - The file descriptors, each with a `kind` of "image", "animated" or "video".
+ */
+function getOutputMedia(output) {
+  if (!output) return [];
+
+  const images = (output.images || []).map((src) => {
+    const extension = src.filename?.split(".").pop().toLowerCase();
+    // SaveAnimatedWEBP/PNG report animated outputs through the `animated` flag
+    const isAnimated = extension === "gif" || output.animated?.[0] === true;
+    return { ...src, kind: isAnimated ? "animated" : "image" };
+  });
+
+  const videos = [...(output.gifs || []), ...(output.videos || [])].map((src) => {
+    const isVideo = src.format?.startsWith("video/") || getMediaKind(src.filename || "") === "video";
+    return { ...src, kind: isVideo ? "video" : "animated" };
+  });
+
+  return [...images, ...videos];
+}
+
+/**
+ * Inflates zlib-compressed data using the browser's DecompressionStream.
+ *
+ * @param {Uint8Array} data - The compressed bytes.
+ * @returns {Promise<Uint8Array>} - The decompressed bytes.
+ */
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads the text chunks (tEXt, zTXt and iTXt) embedded in a PNG file. ComfyUI stores the
+ * `prompt` and `workflow` JSON in these chunks.
+ *
+ * @param {string} url - The URL of the image.
+ * @returns {Promise<Object<string, string>>} - The chunk texts keyed by keyword, empty for non-PNG files.
+ */
+async function readPngTextChunks(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status}`);
+  }
+
+  const buffer = await response.arrayBuffer();
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const chunks = {};
+
+  if (!PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+    return chunks;
+  }
+
+  const latin1 = new TextDecoder("latin1");
+  const utf8 = new TextDecoder("utf-8");
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = latin1.decode(bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === "IEND") break;
+
+    const keywordEnd = data.indexOf(0);
+    const keyword = latin1.decode(data.subarray(0, keywordEnd));
+
+    if (type === "tEXt") {
+      chunks[keyword] = latin1.decode(data.subarray(keywordEnd + 1));
+    } else if (type === "zTXt") {
+      // Keyword, null separator, compression method, compressed text
+      chunks[keyword] = latin1.decode(await inflate(data.subarray(keywordEnd + 2)));
+    } else if (type === "iTXt") {
+      // Keyword, null, compression flag, method, language tag, null, translated keyword, null, text
+      const isCompressed = data[keywordEnd + 1] === 1;
+      const languageEnd = data.indexOf(0, keywordEnd + 3);
+      const translatedKeywordEnd = data.indexOf(0, languageEnd + 1);
+      const text = data.subarray(translatedKeywordEnd + 1);
+      chunks[keyword] = utf8.decode(isCompressed ? await inflate(text) : text);
+    }
+
+    offset += length + 12; // Length, type and CRC fields around the data
+  }
+
+  return chunks;
+}
+
+/**
+ * Extracts the sampler settings, models and prompt texts from ComfyUI's embedded `prompt` JSON.
+ *
+ * @param {Object<string, string>} metadata - The PNG text chunks of an image.
+ * @returns {{samplers: Object[], models: string[]}|null} - The generation info, or null if there is none.
+ */
+function extractGenerationInfo(metadata) {
+  let prompt;
+  try {
+    prompt = metadata.prompt ? JSON.parse(metadata.prompt) : null;
+  } catch (error) {
+    console.error("Failed to parse embedded prompt:", error);
+    return null;
+  }
+  if (!prompt || typeof prompt !== "object") return null;
+
+  // Inputs wired to other nodes are stored as [nodeId, outputIndex]
+  const resolveValue = (value, depth = 0) => {
+    if (!Array.isArray(value)) return value;
+    if (depth > MAX_LINK_DEPTH) return undefined;
+    const inputs = prompt[value[0]]?.inputs || {};
+    for (const input of Object.values(inputs)) {
+      const resolved = resolveValue(input, depth + 1);
+      if (resolved !== undefined && typeof resolved !== "object") return resolved;
+    }
+    return undefined;
+  };
+
+  // Follow conditioning links back to the node holding the prompt text
+  const resolveText = (value, depth = 0) => {
+    if (typeof value === "string") return value;
+    if (!Array.isArray(value) || depth > MAX_LINK_DEPTH) return undefined;
+    const inputs = prompt[value[0]]?.inputs || {};
+    for (const key of TEXT_NODE_INPUTS) {
+      const text = key in inputs ? resolveText(inputs[key], depth + 1) : undefined;
+      if (text) return text;
+    }
+    return undefined;
+  };
+
+  const samplers = Object.entries(prompt)
+    .filter(([, node]) => node?.inputs && SAMPLER_NODE_INPUTS.every((key) => key in node.inputs))
+    .map(([id, node]) => ({
+      id,
+      type: node.class_type,
+      seed: resolveValue(node.inputs.seed ?? node.inputs.noise_seed),
+      steps: resolveValue(node.inputs.steps),
+      cfg: resolveValue(node.inputs.cfg),
+      sampler: resolveValue(node.inputs.sampler_name),
+      scheduler: resolveValue(node.inputs.scheduler),
+      positive: resolveText(node.inputs.positive),
+      negative: resolveText(node.inputs.negative),
+    }));
+
+  const models = Object.values(prompt).flatMap((node) =>
+    MODEL_NODE_INPUTS.map((key) => node?.inputs?.[key]).filter((value) => typeof value === "string")
+  );
+
+  return { samplers, models: [...new Set(models)] };
+}
 
 class Lightbox {
   #el;
   #img;
+  #video;
+  #videoControls;
+  #videoPlayButton;
+  #videoLoopButton;
+  #videoTime;
   #link;
   #closeBtn;
   #prev;
@@ -91,10 +642,66 @@ class Lightbox {
   #spinner;
   #images = [];
   #index = 0;
+  #panes = []; // Primary pane first, followed by the compare panes
+  #compareImages = []; // Images pinned for side-by-side comparison
+  #compareMode = "side"; // One of COMPARE_MODES
+  #compareBar;
+  #compareModeButtons = {};
+  #opacitySlider;
+  #swipeHandle;
+  #swipePosition = 50; // Percentage of the pane width showing the pinned image
+  #diffCanvas;
+  #diffKey = null; // Identifies the image pair currently drawn on the difference canvas
+  #toolbar;
+  #infoButton;
+  #infoPanel;
+  #metadataCache = new Map(); // Parsed PNG text chunks keyed by image URL
+  #slideshowButton;
+  #slideshowTimer = null;
+  #slideshowSeen = new Set(); // Images already shown in the current slideshow pass
 
   #minScale = 1; // Dynamic minimum scale based on fit
-  #maxScale = 10; // Fixed maximum scale
-
+  #maxScale = 10; // Maximum scale, derived from the fit and the max zoom setting
+  #zoomReadout;
+  #touchPointers = new Map(); // Active touch points keyed by pointerId
+  #touchGesture = null;
+  #lastTapTime = 0;
+  #filmstrip;
+  #filmstripButton;
+  #filmstripThumbs = [];
+  #filmstripKey = null; // The image list the filmstrip was last built for
+  #saveButton;
+  #saveMenu;
+  #inspectorActive = false;
+  #inspectorButton;
+  #loupe;
+  #loupeCanvas;
+  #inspectorReadout;
+  #pixelDataCache = new Map(); // Pixel data of the images on screen by URL, read on first use
+  #histogramButton;
+  #histogramPanel;
+  #histogramCanvas;
+  #histogramKey = null; // The image the histogram was last drawn for
+  #channelMode = "rgb"; // One of CHANNEL_MODES
+  #channelButton;
+  #checkerboardButton;
+  #tile;
+  #tileButton;
+  #tileActive = false;
+  #favoriteButton;
+  #labels;
+  #inspectorColor = null; // The colour under the cursor
+  #imageCache = new Map(); // Decoded images keyed by URL, least recently used first
+  #rotation = 0; // Clockwise rotation in degrees, a multiple of 90
+  #flipX = false;
+  #flipY = false;
+  #rotateButton;
+  #flipXButton;
+  #flipYButton;
+  #fullscreenButton;
+  #imageCacheBytes = 0;
+
+  imageScale = 1;
   isPanning = false;
   panX = 0;
   panY = 0;
@@ -126,6 +733,10 @@ class Lightbox {
     this.resetZoomPanHandler = this.#resetZoomPan.bind(this);
     this.pointerLockChangeHandler = this.#onPointerLockChange.bind(this);
     this.pointerLockErrorHandler = this.#onPointerLockError.bind(this);
+    this.touchStartHandler = this.#onTouchStart.bind(this);
+    this.touchMoveHandler = this.#onTouchMove.bind(this);
+    this.touchEndHandler = this.#onTouchEnd.bind(this);
+    this.fullscreenChangeHandler = this.#onFullscreenChange.bind(this);
 
     // Create DOM elements and add event listeners
     this.#createElements();
@@ -138,13 +749,14 @@ class Lightbox {
     this.#closeBtn.removeEventListener("click", this.handleCloseBtnClick);
     this.#prev.removeEventListener("click", this.handlePrevClick);
     this.#next.removeEventListener("click", this.handleNextClick);
-    this.#img.removeEventListener('mousedown', this.startPanHandler);
+    this.#panes.forEach((pane) => this.#removePaneListeners(pane));
     document.removeEventListener('mouseup', this.endPanHandler);
     document.removeEventListener('keydown', this.handleKeyDownHandler);
-    this.#img.removeEventListener('wheel', this.handleZoomHandler);
-    this.#img.removeEventListener('dblclick', this.resetZoomPanHandler);
     document.removeEventListener('pointerlockchange', this.pointerLockChangeHandler);
     document.removeEventListener('pointerlockerror', this.pointerLockErrorHandler);
+    document.removeEventListener("fullscreenchange", this.fullscreenChangeHandler);
+    this.stopSlideshow();
+    this.#clearImageCache();
     // Remove DOM elements
     document.body.removeChild(this.#el);
   }
@@ -153,6 +765,65 @@ class Lightbox {
     this.updateCallback = updateCallback;
   }
 
+  registerForNavigation(navigationCallback) {
+    this.navigationCallback = navigationCallback;
+  }
+
+  registerForCompareChanges(compareCallback) {
+    this.compareCallback = compareCallback;
+  }
+
+  registerForBatchLookup(batchCallback) {
+    this.batchCallback = batchCallback;
+  }
+
+  registerForMediaInfo(mediaInfoCallback) {
+    this.mediaInfoCallback = mediaInfoCallback;
+  }
+
+  registerForBatchDownload(batchDownloadCallback) {
+    this.batchDownloadCallback = batchDownloadCallback;
+  }
+
+  registerForFavorites(toggleFavoriteCallback, isFavoriteCallback) {
+    this.toggleFavoriteCallback = toggleFavoriteCallback;
+    this.isFavoriteCallback = isFavoriteCallback;
+  }
+
+  refreshFavoriteState() {
+    // Show whether the current image is a favorite
+    const isFavorite = Boolean(this.isFavoriteCallback?.(this.#images[this.#index]));
+    this.#favoriteButton.classList.toggle("lightbox__toolbar-btn--active", isFavorite);
+    this.#favoriteButton.title = isFavorite ? "Remove from favorites (P)" : "Add to favorites (P)";
+  }
+
+  #toggleFavorite() {
+    this.toggleFavoriteCallback?.(this.#images[this.#index]);
+    this.refreshFavoriteState();
+  }
+
+  registerForLabels(getLabelsCallback, updateLabelsCallback, editTagsCallback) {
+    this.getLabelsCallback = getLabelsCallback;
+    this.updateLabelsCallback = updateLabelsCallback;
+    this.editTagsCallback = editTagsCallback;
+  }
+
+  refreshLabels() {
+    // Show the rating and tags of the current image under the zoom readout
+    const labels = this.getLabelsCallback?.(this.#images[this.#index]);
+    const stars = labels?.rating ? "★".repeat(labels.rating) + "☆".repeat(MAX_RATING - labels.rating) : "";
+    const text = [stars, ...(labels?.tags || [])].filter(Boolean).join("  ·  ");
+    this.#labels.textContent = text;
+    this.#labels.style.display = text ? "block" : "none";
+  }
+
+  #rate(rating) {
+    const url = this.#images[this.#index];
+    if (!url || !this.updateLabelsCallback) return;
+    this.updateLabelsCallback(url, { rating });
+    showToast(rating ? `Rated ${"★".repeat(rating)}` : "Rating cleared");
+  }
+
   #handleZoom(e) {
     e.preventDefault();
     let delta = e.deltaY;
@@ -168,14 +839,35 @@ class Lightbox {
     // Set the zoom factor based on whether the shift key is pressed
     let zoomFactor = isModifierPressed ? SHIFT_ZOOM_MULTIPLIER : BASE_ZOOM_MULTIPLIER;
 
+    let newScale = this.imageScale;
     if (delta < 0) {
       // Zoom in
-      this.imageScale = Math.min(this.imageScale * zoomFactor, this.#maxScale);
+      newScale = Math.min(this.imageScale * zoomFactor, this.#maxScale);
     } else if (delta > 0) {
       // Zoom out
-      this.imageScale = Math.max(this.imageScale / zoomFactor, this.#minScale);
+      newScale = Math.max(this.imageScale / zoomFactor, this.#minScale);
     }
 
+    // Keep the point under the cursor fixed; the event may be replayed by the throttle,
+    // so look up the pane from the target rather than currentTarget
+    const pane = this.#panes.find((p) => p.el.contains(e.target)) || this.#panes[0];
+    this.#zoomTo(newScale, pane, e.clientX, e.clientY);
+  }
+
+  #zoomTo(newScale, pane = this.#panes[0], clientX, clientY) {
+    // Zoom to the given scale, keeping the anchor point (the pane centre by default) in place
+    const paneRect = pane.el.getBoundingClientRect();
+    const paneCenterX = paneRect.left + paneRect.width / 2;
+    const paneCenterY = paneRect.top + paneRect.height / 2;
+    const anchorX = (clientX ?? paneCenterX) - paneCenterX;
+    const anchorY = (clientY ?? paneCenterY) - paneCenterY;
+
+    const clampedScale = Math.min(Math.max(newScale, this.#minScale), this.#maxScale);
+    const ratio = clampedScale / this.imageScale;
+    this.panX = anchorX - (anchorX - this.panX) * ratio;
+    this.panY = anchorY - (anchorY - this.panY) * ratio;
+    this.imageScale = clampedScale;
+
     // Update pan bounds after scaling
     this.#updatePanBounds();
 
@@ -192,15 +884,29 @@ class Lightbox {
   }
 
   #startPanWithPointerLock(e) {
+    // The inspector uses the cursor position, so it does not pan
+    if (this.#inspectorActive) return;
     this.#updatePanBounds();
     const canPan = (this.imageScale > this.#minScale);
 
     if (canPan && e.button === 0) { // Left mouse button
       e.preventDefault();
-      this.#img.requestPointerLock();
+      if (e.currentTarget.requestPointerLock) {
+        e.currentTarget.requestPointerLock();
+      } else {
+        this.#startDragPan();
+      }
     }
   }
 
+  #startDragPan() {
+    // Fallback for browsers without Pointer Lock: pan with plain mouse movement until mouseup
+    this.isPanning = true;
+    this.mouseMovedDuringPan = false;
+    this.#updateCursor();
+    document.addEventListener('mousemove', this.panHandler);
+  }
+
   #panWithPointerLock(e) {
     if (this.isPanning) {
       // Determine if Shift key is held
@@ -210,25 +916,126 @@ class Lightbox {
       const speedMultiplier = isShiftPressed ? SHIFT_PAN_SPEED_MULTIPLIER : BASE_PAN_SPEED_MULTIPLIER;
 
       // Apply pan speed multiplier to movement
-      const deltaX = e.movementX * speedMultiplier;
-      const deltaY = e.movementY * speedMultiplier;
-
-      this.panX += deltaX;
-      this.panY += deltaY;
-
+      this.#panBy(e.movementX * speedMultiplier, e.movementY * speedMultiplier);
       this.mouseMovedDuringPan = true;
+    }
+  }
 
-      // Constrain panX and panY within bounds
-      this.panX = Math.min(Math.max(this.panX, -this.maxPanX), this.maxPanX);
-      this.panY = Math.min(Math.max(this.panY, -this.maxPanY), this.maxPanY);
+  #panBy(deltaX, deltaY) {
+    this.panX += deltaX;
+    this.panY += deltaY;
 
-      this.#updateImageTransform();
-    }
+    // Constrain panX and panY within bounds
+    this.panX = Math.min(Math.max(this.panX, -this.maxPanX), this.maxPanX);
+    this.panY = Math.min(Math.max(this.panY, -this.maxPanY), this.maxPanY);
+
+    this.#updateImageTransform();
   }
 
   #endPanWithPointerLock() {
-    if (this.isPanning) {
+    if (!this.isPanning) return;
+
+    if (document.pointerLockElement) {
       document.exitPointerLock();
+    } else {
+      // Drag panning without Pointer Lock ends here
+      this.isPanning = false;
+      this.#updateCursor();
+      document.removeEventListener('mousemove', this.panHandler);
+    }
+  }
+
+  #onTouchStart(e) {
+    // Touch gestures: one finger pans or swipes, two fingers pinch to zoom
+    if (e.pointerType !== "touch") return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    this.#touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    this.#link.classList.add("lightbox__link--gesture");
+    this.#updatePanBounds();
+
+    const points = [...this.#touchPointers.values()];
+    if (points.length === 1) {
+      this.#touchGesture = { startX: e.clientX, startY: e.clientY, startTime: Date.now(), moved: false };
+    } else if (points.length === 2) {
+      const [a, b] = points;
+      this.#touchGesture = {
+        pinchDistance: Math.hypot(b.x - a.x, b.y - a.y),
+        pinchScale: this.imageScale,
+        midX: (a.x + b.x) / 2,
+        midY: (a.y + b.y) / 2,
+        moved: true,
+      };
+    }
+  }
+
+  #onTouchMove(e) {
+    const previous = this.#touchPointers.get(e.pointerId);
+    const gesture = this.#touchGesture;
+    if (!previous || !gesture) return;
+
+    this.#touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const points = [...this.#touchPointers.values()];
+
+    if (points.length >= 2) {
+      // Pan with the midpoint and zoom around it with the finger distance
+      const [a, b] = points;
+      const midX = (a.x + b.x) / 2;
+      const midY = (a.y + b.y) / 2;
+      const pane = this.#panes.find((p) => p.el === e.currentTarget) || this.#panes[0];
+
+      this.#updatePanBounds();
+      this.#panBy(midX - gesture.midX, midY - gesture.midY);
+      this.#zoomTo(gesture.pinchScale * (Math.hypot(b.x - a.x, b.y - a.y) / gesture.pinchDistance), pane, midX, midY);
+      gesture.midX = midX;
+      gesture.midY = midY;
+      return;
+    }
+
+    if (Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY) > TAP_TOLERANCE) {
+      gesture.moved = true;
+    }
+    if (this.imageScale > this.#minScale) {
+      this.#panBy(e.clientX - previous.x, e.clientY - previous.y);
+    }
+  }
+
+  #onTouchEnd(e) {
+    if (!this.#touchPointers.delete(e.pointerId)) return;
+    const gesture = this.#touchGesture;
+
+    // Lifting one finger of a pinch continues as a one-finger pan
+    if (this.#touchPointers.size > 0) {
+      const [remaining] = this.#touchPointers.values();
+      this.#touchGesture = { startX: remaining.x, startY: remaining.y, startTime: Date.now(), moved: true };
+      return;
+    }
+
+    this.#touchGesture = null;
+    this.#link.classList.remove("lightbox__link--gesture");
+    this.#updateCursor();
+    if (!gesture || e.type === "pointercancel") return;
+
+    const deltaX = e.clientX - gesture.startX;
+    const deltaY = e.clientY - gesture.startY;
+
+    if (!gesture.moved) {
+      // Double-tap resets the zoom
+      const now = Date.now();
+      if (now - this.#lastTapTime < DOUBLE_TAP_DELAY) {
+        this.#resetZoomPan();
+        this.#lastTapTime = 0;
+      } else {
+        this.#lastTapTime = now;
+      }
+    } else if (
+      this.imageScale <= this.#minScale &&
+      Math.abs(deltaX) > SWIPE_DISTANCE &&
+      Math.abs(deltaX) > Math.abs(deltaY) * 1.5 &&
+      Date.now() - gesture.startTime < SWIPE_MAX_DURATION
+    ) {
+      // Swipe left for the next image, right for the previous one
+      this.#update(deltaX < 0 ? 1 : -1);
     }
   }
 
@@ -241,55 +1048,244 @@ class Lightbox {
       return;
     }
 
-    // Get the dimensions of the container and the scaled image
-    const containerRect = this.#link.getBoundingClientRect();
-    const containerWidth = containerRect.width;
-    const containerHeight = containerRect.height;
+    // Calculate the maximum allowable panning distances across every pane
+    this.maxPanX = 0;
+    this.maxPanY = 0;
+    this.#panes.forEach((pane) => {
+      const paneRect = pane.el.getBoundingClientRect();
+      const scale = this.#getPaneScale(pane);
 
-    const scaledImageWidth = this.originalWidth * this.imageScale;
-    const scaledImageHeight = this.originalHeight * this.imageScale;
+      const { width, height } = this.#getOrientedSize(pane);
+      const scaledImageWidth = width * scale;
+      const scaledImageHeight = height * scale;
 
-    // Calculate the maximum allowable panning distances
-    this.maxPanX = Math.max((scaledImageWidth - containerWidth) / 2, 0);
-    this.maxPanY = Math.max((scaledImageHeight - containerHeight) / 2, 0);
+      this.maxPanX = Math.max((scaledImageWidth - paneRect.width) / 2, this.maxPanX);
+      this.maxPanY = Math.max((scaledImageHeight - paneRect.height) / 2, this.maxPanY);
+    });
   }
 
-  #resetZoomPan() {
-    // Reset zoom level and pan offsets to default values
-    this.imageScale = this.#minScale;
-    this.panX = 0;
-    this.panY = 0;
-    this.isPanning = false;
-
-    // Update the transform and cursor
-    this.#updateImageTransform();
-    this.#updateCursor();
+  #updateMaxScale() {
+    // The max zoom setting is relative to the fit, so large upscales can be inspected closely
+    const maxZoom = Number(storage.getJSONVal("MaxZoom", 10)) || 10;
+    this.#maxScale = Math.max(this.#minScale * maxZoom, MIN_MAX_SCALE);
   }
 
-  #updateImageTransform() {
-    if (this.imageScale <= this.#minScale) {
-      // Reset pan and scale if at minimum scale
-      this.panX = 0;
-      this.panY = 0;
-      this.#img.style.transform = `scale(1)`;
-    } else {
-      // Constrain panX and panY within bounds
-      this.panX = Math.min(Math.max(this.panX, -this.maxPanX), this.maxPanX);
-      this.panY = Math.min(Math.max(this.panY, -this.maxPanY), this.maxPanY);
-
-      // Apply translation and scaling to the image
-      this.#img.style.transform = `translate(${this.panX}px, ${this.panY}px) scale(${this.imageScale})`;
+  #zoomToActualSize() {
+    // Show the image at its true pixel size, even when that is smaller than the fit
+    if (this.#minScale > 1) {
+      this.imageScale = 1;
+      this.#updatePanBounds();
+      this.#updateImageTransform();
+      this.#updateCursor();
+      return;
     }
+    this.#zoomTo(1);
   }
 
-  #updateCursor() {
-    // Update cursor style depending on whether panning is possible
-    const canPan = (this.imageScale > this.#minScale);
-    if (canPan) {
-      this.#img.style.cursor = this.isPanning ? 'grabbing' : 'grab';
-    } else {
-      this.#img.style.cursor = 'auto';
-    }
+  #zoomToFill() {
+    // Scale the image so it covers the whole pane
+    const paneRect = this.#panes[0].el.getBoundingClientRect();
+    const { width, height } = this.#getOrientedSize(this.#panes[0]);
+    if (!width || !height) return;
+    this.#zoomTo(Math.max(paneRect.width / width, paneRect.height / height));
+  }
+
+  #isRotatedSideways() {
+    return this.#rotation % 180 !== 0;
+  }
+
+  #getOrientedSize(pane) {
+    // The media size as shown on screen, with width and height swapped when rotated sideways
+    const { width, height } = getMediaSize(pane.media);
+    // The tile preview fits the whole grid rather than a single copy
+    const count = pane === this.#panes[0] ? this.#getTileCount() : 1;
+    return this.#isRotatedSideways()
+      ? { width: height * count, height: width * count }
+      : { width: width * count, height: height * count };
+  }
+
+  #getTileCount() {
+    // Number of copies along each side of the tile preview, 1 when it is off
+    if (!this.#tileActive || this.#isShowingVideo()) return 1;
+    return Number(storage.getJSONVal("TileCount", 3)) || 3;
+  }
+
+  #toggleTile() {
+    this.#tileActive = !this.#tileActive;
+    this.#tileButton.classList.toggle("lightbox__toolbar-btn--active", this.#tileActive);
+    this.#refreshTile();
+
+    // Start from the whole grid, as the fit changes with the number of copies
+    this.#updateFitScales();
+    this.#updateMaxScale();
+    this.imageScale = this.#minScale;
+    this.#updatePanBounds();
+    this.#updateImageTransform();
+    this.#updateCursor();
+  }
+
+  #toggleTileSeams() {
+    const isVisible = !storage.getJSONVal("TileSeams", false);
+    storage.setJSONVal("TileSeams", isVisible);
+    this.#tile.classList.toggle("lightbox__tile--seams", isVisible);
+    // Showing the seams starts the tile preview; hiding them leaves it as it is
+    if (isVisible && !this.#tileActive) {
+      this.#toggleTile();
+    }
+  }
+
+  #refreshTile() {
+    // Show the current image repeated in a grid in place of the single image
+    const count = this.#getTileCount();
+    const isTiling = count > 1;
+    this.#tile.style.display = isTiling ? "block" : "none";
+    this.#img.style.visibility = isTiling ? "hidden" : "";
+    if (!isTiling) return;
+
+    const { naturalWidth, naturalHeight } = this.#img;
+    this.#tile.style.width = `${naturalWidth * count}px`;
+    this.#tile.style.height = `${naturalHeight * count}px`;
+    this.#tile.style.setProperty("--tile-image", `url("${this.#img.src}")`);
+    this.#tile.style.setProperty("--tile-size", `${naturalWidth}px ${naturalHeight}px`);
+    this.#tile.classList.toggle("lightbox__tile--seams", storage.getJSONVal("TileSeams", false));
+  }
+
+  #getOrientationTransform() {
+    // Rotation and flips applied after the shared pan and zoom
+    return `rotate(${this.#rotation}deg) scale(${this.#flipX ? -1 : 1}, ${this.#flipY ? -1 : 1})`;
+  }
+
+  #rotate(degrees) {
+    this.#rotation = (this.#rotation + degrees + 360) % 360;
+    this.#onOrientationChanged();
+  }
+
+  #toggleFlip(axis) {
+    if (axis === "x") {
+      this.#flipX = !this.#flipX;
+    } else {
+      this.#flipY = !this.#flipY;
+    }
+    this.#onOrientationChanged();
+  }
+
+  #resetOrientation() {
+    this.#rotation = 0;
+    this.#flipX = false;
+    this.#flipY = false;
+    this.#onOrientationChanged();
+  }
+
+  #onOrientationChanged() {
+    // Refit, as a sideways rotation swaps the dimensions that have to fit the pane
+    this.#rotateButton.classList.toggle("lightbox__toolbar-btn--active", this.#rotation !== 0);
+    this.#flipXButton.classList.toggle("lightbox__toolbar-btn--active", this.#flipX);
+    this.#flipYButton.classList.toggle("lightbox__toolbar-btn--active", this.#flipY);
+    this.#loupeCanvas.style.transform = this.#getOrientationTransform();
+
+    this.#updateFitScales();
+    this.#updateMaxScale();
+    this.#updatePanBounds();
+    this.#updateImageTransform();
+    this.#updateCursor();
+  }
+
+  isFullscreen() {
+    return document.fullscreenElement === this.#el;
+  }
+
+  toggleFullscreen() {
+    // Use the browser's fullscreen mode so the image can use the whole screen
+    if (this.isFullscreen()) {
+      document.exitFullscreen().catch((error) => console.error("Failed to exit fullscreen:", error));
+    } else {
+      this.#el.requestFullscreen().catch((error) => console.error("Failed to enter fullscreen:", error));
+    }
+  }
+
+  #onFullscreenChange() {
+    this.#fullscreenButton.classList.toggle("lightbox__toolbar-btn--active", this.isFullscreen());
+    if (!this.isOpen()) return;
+
+    // .lightbox__main uses the whole screen in fullscreen, so refit the image
+    this.#updateMainSize();
+    this.#updateFitScales();
+    this.#updateMaxScale();
+    this.#updatePanBounds();
+    this.#updateImageTransform();
+    this.#updateCursor();
+  }
+
+  #getPaneScale(pane) {
+    // Compare panes follow the zoom of the primary pane relative to their own fit
+    return pane.fitScale * (this.imageScale / this.#minScale);
+  }
+
+  #updateFitScales() {
+    // Recalculate the fit scale of every pane while keeping the relative zoom
+    const zoomRatio = this.imageScale / this.#minScale || 1;
+
+    this.#panes.forEach((pane) => {
+      const paneRect = pane.el.getBoundingClientRect();
+      const { width: naturalWidth, height: naturalHeight } = this.#getOrientedSize(pane);
+      // Hidden panes measure as zero, so keep a neutral scale until they are shown
+      pane.fitScale = naturalWidth && naturalHeight && paneRect.width && paneRect.height
+        ? Math.min(paneRect.width / naturalWidth, paneRect.height / naturalHeight)
+        : 1;
+    });
+
+    this.#minScale = this.#panes[0].fitScale;
+    this.imageScale = this.#minScale * zoomRatio;
+  }
+
+  #resetZoomPan() {
+    // Reset zoom level and pan offsets to default values
+    this.imageScale = this.#minScale;
+    this.panX = 0;
+    this.panY = 0;
+    this.isPanning = false;
+
+    // Update the transform and cursor
+    this.#updateImageTransform();
+    this.#updateCursor();
+  }
+
+  #updateImageTransform() {
+    if (this.imageScale <= this.#minScale) {
+      // Reset pan and scale if at minimum scale
+      this.panX = 0;
+      this.panY = 0;
+    } else {
+      // Constrain panX and panY within bounds
+      this.panX = Math.min(Math.max(this.panX, -this.maxPanX), this.maxPanX);
+      this.panY = Math.min(Math.max(this.panY, -this.maxPanY), this.maxPanY);
+    }
+
+    // Apply the shared translation and each pane's scaling to its image
+    this.#panes.forEach((pane) => {
+      pane.media.style.transform = `translate(${this.panX}px, ${this.panY}px) scale(${this.#getPaneScale(pane)}) ${this.#getOrientationTransform()}`;
+    });
+
+    // The difference canvas is centred absolutely, so offset it by half its size first
+    this.#diffCanvas.style.transform = `translate(-50%, -50%) translate(${this.panX}px, ${this.panY}px) scale(${this.imageScale}) ${this.#getOrientationTransform()}`;
+    this.#tile.style.transform = this.#diffCanvas.style.transform;
+    // Keep the seam lines the same width on screen at any zoom
+    this.#tile.style.setProperty("--tile-seam-width", `${SEAM_WIDTH / this.imageScale}px`);
+
+    this.#zoomReadout.textContent = `${Math.round(this.imageScale * 100)}%`;
+  }
+
+  #updateCursor() {
+    // Update cursor style depending on whether panning is possible
+    const canPan = (this.imageScale > this.#minScale);
+    let cursor = 'auto';
+    if (canPan) {
+      cursor = this.isPanning ? 'grabbing' : 'grab';
+    }
+    this.#panes.forEach((pane) => {
+      pane.media.style.cursor = cursor;
+    });
+    this.#tile.style.cursor = cursor;
   }
 
   #createElements() {
@@ -310,669 +1306,3236 @@ class Lightbox {
     this.#link = this.#createElement("div", "lightbox__link", main);
 
     this.#spinner = this.#createElement("div", "lightbox__spinner", this.#link);
-    this.#img = this.#createElement("img", "lightbox__img", this.#link);
+    const primaryPane = this.#createPane();
+    primaryPane.label.classList.add("lightbox__pane-label--primary");
+    this.#img = primaryPane.img;
+    this.#panes = [primaryPane];
+
+    // Videos replace the image in the primary pane and share its zoom and pan
+    this.#video = this.#createElement("video", "lightbox__img lightbox__video", primaryPane.el, {
+      playsinline: "",
+      preload: "auto",
+    });
+    this.#video.style.display = "none";
+    this.#video.loop = storage.getJSONVal("VideoLoop", true);
+    this.#video.addEventListener('mousedown', this.startPanHandler);
+    this.#video.addEventListener("click", (e) => e.stopPropagation());
+    this.#createVideoControls();
+
+    // Difference canvas sits in the primary pane underneath the overlay pane
+    this.#diffCanvas = this.#createElement("canvas", "lightbox__diff", primaryPane.el);
+
+    // The tile preview repeats the primary image as a background and zooms and pans like it
+    this.#tile = this.#createElement("div", "lightbox__tile", primaryPane.el);
+    this.#tile.addEventListener('mousedown', this.startPanHandler);
+    this.#tile.addEventListener("click", (e) => e.stopPropagation());
+    this.#swipeHandle = this.#createElement("div", "lightbox__swipe-handle", this.#link);
+
+    this.#zoomReadout = this.#createElement("div", "lightbox__zoom", this.#link, {
+      title: "Zoom relative to the image's pixel size",
+    });
+    this.#labels = this.#createElement("div", "lightbox__labels", this.#link);
+
+    this.#createCompareBar();
+    this.#createToolbar();
+    this.#infoPanel = this.#createElement("div", "lightbox__info", this.#el);
+    this.#loupe = this.#createElement("div", "lightbox__loupe", this.#el);
+    this.#loupeCanvas = this.#createElement("canvas", "lightbox__loupe-canvas", this.#loupe, {
+      width: LOUPE_SIZE,
+      height: LOUPE_SIZE,
+    });
+    this.#inspectorReadout = this.#createElement("div", "lightbox__loupe-readout", this.#loupe);
+    this.#createHistogram();
+    this.#createChannelFilters();
+    this.#filmstrip = this.#createElement("div", "lightbox__filmstrip", this.#el);
+    this.#filmstrip.addEventListener("wheel", (e) => {
+      // Scroll the strip sideways with a regular mouse wheel
+      e.preventDefault();
+      this.#filmstrip.scrollLeft += e.deltaY || e.deltaX;
+    });
+    this.#filmstripButton.classList.toggle("lightbox__toolbar-btn--active", this.#isFilmstripVisible());
     document.body.appendChild(this.#el);
   }
 
-  #createElement(tag, className, parent, attrs = {}) {
-    // Helper function to create and configure a DOM element
-    const el = document.createElement(tag);
-    el.className = className;
-    if (parent) parent.appendChild(el);
-    Object.entries(attrs).forEach(([key, value]) =>
-      el.setAttribute(key, value)
+  #createHistogram() {
+    // Create the histogram overlay in the bottom left corner of the image
+    this.#histogramPanel = this.#createElement("div", "lightbox__histogram", this.#link);
+    this.#histogramCanvas = this.#createElement("canvas", "lightbox__histogram-canvas", this.#histogramPanel, {
+      width: HISTOGRAM_WIDTH,
+      height: HISTOGRAM_HEIGHT,
+    });
+    this.#histogramPanel.addEventListener("click", (e) => e.stopPropagation());
+    this.#histogramPanel.style.display = "none";
+    this.#histogramButton.classList.toggle("lightbox__toolbar-btn--active", this.#isHistogramVisible());
+  }
+
+  #createChannelFilters() {
+    // SVG filters referenced from CSS to show one channel of the image as greyscale
+    const filters = Object.entries(CHANNEL_MATRICES)
+      .map(([channel, matrix]) => `
+        <filter id="simpleTray-channel-${channel}" color-interpolation-filters="sRGB">
+          <feColorMatrix type="matrix" values="${matrix}" />
+        </filter>`)
+      .join("");
+    const container = this.#createElement("div", "lightbox__filters", this.#el);
+    container.innerHTML = `<svg width="0" height="0" aria-hidden="true"><defs>${filters}</defs></svg>`;
+
+    this.#link.classList.toggle("lightbox__link--checkerboard", storage.getJSONVal("Checkerboard", false));
+    this.#checkerboardButton.classList.toggle(
+      "lightbox__toolbar-btn--active",
+      this.#link.classList.contains("lightbox__link--checkerboard")
     );
-    return el;
   }
 
-  #addEventListeners() {
-    // Add event listeners for various elements in the lightbox
-    this.#el.addEventListener("click", this.handleElClick);
-    this.#closeBtn.addEventListener("click", this.handleCloseBtnClick);
-    this.#prev.addEventListener("click", this.handlePrevClick);
-    this.#next.addEventListener("click", this.handleNextClick);
+  #isHistogramVisible() {
+    return storage.getJSONVal("HistogramVisible", false);
+  }
+
+  #toggleHistogram() {
+    const isVisible = !this.#isHistogramVisible();
+    storage.setJSONVal("HistogramVisible", isVisible);
+    this.#histogramButton.classList.toggle("lightbox__toolbar-btn--active", isVisible);
+    this.#refreshHistogram();
+  }
+
+  #refreshHistogram() {
+    // Videos have no pixel data to count, so the histogram is only shown for images
+    const isVisible = this.#isHistogramVisible() && !this.#isShowingVideo();
+    this.#histogramPanel.style.display = isVisible ? "block" : "none";
+
+    // Redraw only when the image has changed, and not while the lightbox is closed
+    if (!isVisible || !this.isOpen() || this.#histogramKey === this.#img.src) return;
+
+    const imageData = this.#getPixelData();
+    if (!imageData) return;
+    this.#histogramKey = this.#img.src;
+
+    // Count each channel and the Rec. 709 luminance into 256 bins
+    const bins = { r: new Uint32Array(256), g: new Uint32Array(256), b: new Uint32Array(256), l: new Uint32Array(256) };
+    const { data } = imageData;
+    for (let i = 0; i < data.length; i += 4) {
+      bins.r[data[i]]++;
+      bins.g[data[i + 1]]++;
+      bins.b[data[i + 2]]++;
+      bins.l[Math.round(0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2])]++;
+    }
+
+    // Scale against the tallest bin so a single spike does not flatten the rest
+    const peak = Math.max(...Object.values(bins).map((values) => Math.max(...values))) || 1;
+    const ctx = this.#histogramCanvas.getContext("2d");
+    ctx.clearRect(0, 0, HISTOGRAM_WIDTH, HISTOGRAM_HEIGHT);
+
+    const drawChannel = (values, color) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(0, HISTOGRAM_HEIGHT);
+      values.forEach((count, value) => {
+        ctx.lineTo(value, HISTOGRAM_HEIGHT - Math.sqrt(count / peak) * HISTOGRAM_HEIGHT);
+      });
+      ctx.lineTo(HISTOGRAM_WIDTH, HISTOGRAM_HEIGHT);
+      ctx.closePath();
+      ctx.fill();
+    };
+
+    drawChannel(bins.l, "rgba(200, 200, 200, 0.5)");
+    ctx.globalCompositeOperation = "lighter";
+    drawChannel(bins.r, "rgba(255, 0, 0, 0.5)");
+    drawChannel(bins.g, "rgba(0, 255, 0, 0.5)");
+    drawChannel(bins.b, "rgba(0, 0, 255, 0.5)");
+    ctx.globalCompositeOperation = "source-over";
+  }
+
+  #cycleChannelMode() {
+    // Step through RGB and the single-channel views
+    const nextIndex = (CHANNEL_MODES.indexOf(this.#channelMode) + 1) % CHANNEL_MODES.length;
+    this.#setChannelMode(CHANNEL_MODES[nextIndex]);
+    showToast(CHANNEL_MODE_LABELS[this.#channelMode]);
+  }
+
+  #setChannelMode(mode) {
+    CHANNEL_MODES.forEach((channel) => {
+      this.#link.classList.toggle(`lightbox__link--channel-${channel}`, channel === mode && mode !== "rgb");
+    });
+    this.#channelMode = mode;
+    this.#channelButton.classList.toggle("lightbox__toolbar-btn--active", mode !== "rgb");
+  }
+
+  #toggleCheckerboard() {
+    const isEnabled = this.#link.classList.toggle("lightbox__link--checkerboard");
+    storage.setJSONVal("Checkerboard", isEnabled);
+    this.#checkerboardButton.classList.toggle("lightbox__toolbar-btn--active", isEnabled);
+  }
+
+  #toggleInspector() {
+    this.#inspectorActive = !this.#inspectorActive;
+    this.#inspectorButton.classList.toggle("lightbox__toolbar-btn--active", this.#inspectorActive);
+    this.#link.classList.toggle("lightbox__link--inspecting", this.#inspectorActive);
+    if (!this.#inspectorActive) {
+      this.#hideLoupe();
+    }
+  }
+
+  #hideLoupe() {
+    this.#loupe.style.display = "none";
+    this.#inspectorColor = null;
+  }
+
+  #getInspectedPane(target) {
+    // The pane whose image, or the tile preview of the primary pane, is under the cursor
+    return this.#panes.find((pane) => target === pane.media || (pane === this.#panes[0] && target === this.#tile));
+  }
+
+  #clientToImagePoint(pane, clientX, clientY) {
+    // Map a screen position to image pixel coordinates through the pane's pan and zoom
+    const paneRect = pane.el.getBoundingClientRect();
+    const scale = this.#getPaneScale(pane);
+    const imageCenterX = paneRect.left + paneRect.width / 2 + this.panX;
+    const imageCenterY = paneRect.top + paneRect.height / 2 + this.panY;
+    const screenX = (clientX - imageCenterX) / scale;
+    const screenY = (clientY - imageCenterY) / scale;
+
+    // Undo the rotation, then the flips, to get back to the image's own axes
+    const radians = (this.#rotation * Math.PI) / 180;
+    const cos = Math.round(Math.cos(radians));
+    const sin = Math.round(Math.sin(radians));
+    const x = (screenX * cos + screenY * sin) * (this.#flipX ? -1 : 1);
+    const y = (screenY * cos - screenX * sin) * (this.#flipY ? -1 : 1);
+
+    // In the tile preview of the primary pane, positions inside the grid map back onto the single image
+    const isPrimary = pane === this.#panes[0];
+    const width = isPrimary ? this.originalWidth : pane.img.naturalWidth;
+    const height = isPrimary ? this.originalHeight : pane.img.naturalHeight;
+    const count = isPrimary ? this.#getTileCount() : 1;
+    const gridX = x + (width * count) / 2;
+    const gridY = y + (height * count) / 2;
+    const isInsideGrid = gridX >= 0 && gridY >= 0 && gridX < width * count && gridY < height * count;
+
+    return isInsideGrid
+      ? { x: gridX % width, y: gridY % height }
+      : { x: gridX, y: gridY };
+  }
+
+  #getPixelData(img = this.#img) {
+    // Read the pixels of an image from a canvas copy, once per image on screen
+    if (this.#pixelDataCache.has(img.src)) return this.#pixelDataCache.get(img.src);
+    if (!img.complete || !img.naturalWidth) return null;
+
+    let pixelData = null;
+    try {
+      const canvas = document.createElement("canvas");
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      ctx.drawImage(img, 0, 0);
+      pixelData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    } catch (error) {
+      console.error("Failed to read image pixels:", error);
+    }
+
+    // Only the images of the current compare panes are kept
+    this.#pixelDataCache.set(img.src, pixelData);
+    if (this.#pixelDataCache.size > MAX_COMPARE_PANES) {
+      this.#pixelDataCache.delete(this.#pixelDataCache.keys().next().value);
+    }
+    return pixelData;
+  }
+
+  #onInspectorMove(e) {
+    if (!this.#inspectorActive || this.isPanning) return;
+
+    // Only images are inspected, not videos or the controls drawn over them
+    const pane = this.#getInspectedPane(e.target);
+    if (!pane || pane.media !== pane.img) {
+      this.#hideLoupe();
+      return;
+    }
+
+    const imageData = this.#getPixelData(pane.img);
+    const point = this.#clientToImagePoint(pane, e.clientX, e.clientY);
+    const x = Math.floor(point.x);
+    const y = Math.floor(point.y);
+
+    if (!imageData || x < 0 || y < 0 || x >= imageData.width || y >= imageData.height) {
+      this.#hideLoupe();
+      return;
+    }
+
+    const offset = (y * imageData.width + x) * 4;
+    const [r, g, b, a] = imageData.data.slice(offset, offset + 4);
+    const hex = `#${[r, g, b].map((value) => value.toString(16).padStart(2, "0")).join("")}`;
+    const { h, s, l } = rgbToHsl(r, g, b);
+    this.#inspectorColor = hex;
+
+    // Draw the magnified neighbourhood with hard pixel edges and outline the centre pixel
+    const ctx = this.#loupeCanvas.getContext("2d");
+    const cellSize = LOUPE_SIZE / LOUPE_PIXELS;
+    const half = Math.floor(LOUPE_PIXELS / 2);
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, LOUPE_SIZE, LOUPE_SIZE);
+    ctx.drawImage(pane.img, x - half, y - half, LOUPE_PIXELS, LOUPE_PIXELS, 0, 0, LOUPE_SIZE, LOUPE_SIZE);
+    ctx.strokeStyle = l > 50 ? "black" : "white";
+    ctx.strokeRect(half * cellSize, half * cellSize, cellSize, cellSize);
+
+    this.#inspectorReadout.textContent = [
+      `X ${x}  Y ${y}`,
+      `RGBA ${r}, ${g}, ${b}, ${a}`,
+      `HEX ${hex}`,
+      `HSL ${h}°, ${s}%, ${l}%`,
+    ].join("\n");
+
+    // Keep the loupe next to the cursor without leaving the screen
+    this.#loupe.style.display = "block";
+    const loupeRect = this.#loupe.getBoundingClientRect();
+    const left = e.clientX + LOUPE_OFFSET + loupeRect.width > window.innerWidth
+      ? e.clientX - LOUPE_OFFSET - loupeRect.width
+      : e.clientX + LOUPE_OFFSET;
+    const top = e.clientY + LOUPE_OFFSET + loupeRect.height > window.innerHeight
+      ? e.clientY - LOUPE_OFFSET - loupeRect.height
+      : e.clientY + LOUPE_OFFSET;
+    this.#loupe.style.left = `${left}px`;
+    this.#loupe.style.top = `${top}px`;
+  }
+
+  #onInspectorClick(e) {
+    // Clicking an image while inspecting copies the colour under the cursor
+    if (!this.#inspectorActive || !this.#inspectorColor || !this.#getInspectedPane(e.target)) return;
+    e.stopPropagation();
+    copyTextToClipboard(this.#inspectorColor, `Copied ${this.#inspectorColor}`);
+  }
+
+  #isFilmstripVisible() {
+    return storage.getJSONVal("FilmstripVisible", true);
+  }
+
+  #toggleFilmstrip() {
+    const isVisible = !this.#isFilmstripVisible();
+    storage.setJSONVal("FilmstripVisible", isVisible);
+    this.#filmstripButton.classList.toggle("lightbox__toolbar-btn--active", isVisible);
+    this.#filmstripKey = null;
+    this.#renderFilmstrip();
+
+    // The image area changes size, so fit the images again
+    this.#updateMainSize();
+    this.#updateFitScales();
+    this.#updateMaxScale();
+    this.#updatePanBounds();
+    this.#updateImageTransform();
+    this.#updateCursor();
+  }
+
+  #updateMainSize() {
+    // Size .lightbox__main, leaving room for the filmstrip when it is shown
+    const main = this.#el.querySelector('.lightbox__main');
+    if (!main) return;
+
+    // Fullscreen exists to make the most of small screens, so drop the margin there
+    const size = this.isFullscreen() ? '100%' : '90%';
+    const isFilmstripVisible = this.#isFilmstripVisible();
+    main.style.width = size;
+    main.style.height = isFilmstripVisible ? `calc(${size} - ${FILMSTRIP_HEIGHT}px)` : size;
+    main.style.top = isFilmstripVisible ? `calc(50% - ${FILMSTRIP_HEIGHT / 2}px)` : '50%';
+  }
+
+  #renderFilmstrip() {
+    // Rebuild the thumbnails when the image list changes, then highlight the current one
+    const isVisible = this.#isFilmstripVisible();
+    this.#filmstrip.style.display = isVisible ? "flex" : "none";
+    if (!isVisible) return;
+
+    const filmstripKey = this.#images.join("|");
+    if (filmstripKey !== this.#filmstripKey) {
+      this.#filmstripKey = filmstripKey;
+      const batchKeys = this.batchCallback ? this.batchCallback() : [];
+      const fragment = document.createDocumentFragment();
+
+      this.#filmstripThumbs = this.#images.map((url, index) => {
+        // Mirror the tray's batch separators between runs
+        if (index > 0 && batchKeys[index] !== batchKeys[index - 1]) {
+          this.#createElement("div", "lightbox__filmstrip-bar", fragment);
+        }
+        const thumb = this.#createElement("img", "lightbox__filmstrip-thumb", fragment, {
+          loading: "lazy",
+          decoding: "async",
+          title: getFilenameFromUrl(url),
+        });
+        thumb.src = this.mediaInfoCallback?.(url)?.poster || url;
+        thumb.addEventListener("click", () => this.updateCurrentImage(index));
+        return thumb;
+      });
+
+      this.#filmstrip.replaceChildren(fragment);
+    }
+
+    this.#filmstripThumbs.forEach((thumb, index) => {
+      thumb.classList.toggle("lightbox__filmstrip-thumb--active", index === this.#index);
+    });
+
+    // Keep the current thumbnail centred in the strip
+    const activeThumb = this.#filmstripThumbs[this.#index];
+    if (activeThumb) {
+      this.#filmstrip.scrollTo({
+        left: activeThumb.offsetLeft - this.#filmstrip.clientWidth / 2 + activeThumb.offsetWidth / 2,
+        behavior: "smooth",
+      });
+    }
+  }
+
+  #createToolbar() {
+    // Create the icon toolbar in the top right corner of the image
+    this.#toolbar = this.#createElement("div", "lightbox__toolbar", this.#link);
+
+    this.#infoButton = this.#addToolbarButton("ℹ️", "Generation info (I)", () => this.#toggleInfoPanel());
+    this.#favoriteButton = this.#addToolbarButton("⭐", "Add to favorites (P)", () => this.#toggleFavorite());
+    this.#addToolbarButton("🏷️", "Edit tags (rate with 1-5, 0 to clear)", () =>
+      this.editTagsCallback?.(this.#images[this.#index])
+    );
+    this.#addToolbarButton("🔄", "Load workflow from this image", () =>
+      this.loadWorkflowFromImage(this.#images[this.#index])
+    );
+    this.#slideshowButton = this.#addToolbarButton("▶️", "Play slideshow (Space)", () => this.toggleSlideshow());
+    this.#filmstripButton = this.#addToolbarButton("🎞️", "Filmstrip (S)", () => this.#toggleFilmstrip());
+    this.#inspectorButton = this.#addToolbarButton("🔬", "Pixel inspector (E)", () => this.#toggleInspector());
+    this.#histogramButton = this.#addToolbarButton("📊", "Histogram (G)", () => this.#toggleHistogram());
+    this.#channelButton = this.#addToolbarButton("🎨", "Cycle channels (N)", () => this.#cycleChannelMode());
+    this.#checkerboardButton = this.#addToolbarButton("🏁", "Checkerboard background (B)", () =>
+      this.#toggleCheckerboard()
+    );
+    this.#tileButton = this.#addToolbarButton("🧱", "Tile preview (T, Shift+T for seams)", () => this.#toggleTile());
+    this.#rotateButton = this.#addToolbarButton("↻", "Rotate 90° (R, Shift+R to rotate back)", () => this.#rotate(90));
+    this.#flipXButton = this.#addToolbarButton("⇆", "Flip horizontally (H)", () => this.#toggleFlip("x"));
+    this.#flipYButton = this.#addToolbarButton("⇅", "Flip vertically (V)", () => this.#toggleFlip("y"));
+    this.#fullscreenButton = this.#addToolbarButton("⛶", "Fullscreen (F)", () => this.toggleFullscreen());
+
+    this.#saveButton = this.#addToolbarButton("💾", "Save image", () => this.#toggleSaveMenu());
+    this.#saveButton.classList.add("lightbox-save-icon");
+    this.#createSaveMenu();
+    this.#addToolbarButton("📦", "Download batch as ZIP", () =>
+      this.batchDownloadCallback?.(this.#images[this.#index])
+    );
+  }
+
+  #createSaveMenu() {
+    // Create the "Save as…" popover below the toolbar
+    this.#saveMenu = this.#createElement("div", "lightbox__save-menu", this.#link);
+    this.#saveMenu.addEventListener("click", (e) => e.stopPropagation());
+
+    const originalButton = this.#createElement("button", "lightbox__save-btn", this.#saveMenu);
+    originalButton.textContent = "Original";
+    originalButton.addEventListener("click", () => {
+      const url = this.#images[this.#index];
+      downloadUrl(url, getDownloadFilename(url));
+      this.#toggleSaveMenu(false);
+    });
+
+    this.#createElement("div", "lightbox__save-title", this.#saveMenu).textContent = "Save as…";
+
+    const qualityRow = this.#createElement("label", "lightbox__save-row", this.#saveMenu);
+    qualityRow.textContent = "Quality";
+    const qualityInput = this.#createElement("input", "lightbox__save-quality", qualityRow, {
+      type: "range",
+      min: "10",
+      max: "100",
+      step: "5",
+      value: String(storage.getJSONVal("SaveQuality", 90)),
+    });
+    const qualityValue = this.#createElement("span", "lightbox__save-value", qualityRow);
+    qualityValue.textContent = `${qualityInput.value}%`;
+    qualityInput.addEventListener("input", () => {
+      qualityValue.textContent = `${qualityInput.value}%`;
+      storage.setJSONVal("SaveQuality", Number(qualityInput.value));
+    });
+
+    const scaleRow = this.#createElement("label", "lightbox__save-row", this.#saveMenu);
+    scaleRow.textContent = "Scale";
+    const scaleSelect = this.#createElement("select", "lightbox__save-scale", scaleRow);
+    const savedScale = storage.getJSONVal("SaveScale", 1);
+    SAVE_SCALES.forEach((scale) => {
+      const option = this.#createElement("option", "", scaleSelect, { value: String(scale) });
+      option.textContent = `${scale * 100}%`;
+      option.selected = scale === savedScale;
+    });
+    scaleSelect.addEventListener("change", () => storage.setJSONVal("SaveScale", Number(scaleSelect.value)));
+
+    const formatRow = this.#createElement("div", "lightbox__save-formats", this.#saveMenu);
+    SAVE_FORMATS.forEach((format) => {
+      const button = this.#createElement("button", "lightbox__save-btn", formatRow);
+      button.textContent = format.label;
+      button.addEventListener("click", () => {
+        this.#saveConverted(format, Number(qualityInput.value) / 100, Number(scaleSelect.value));
+      });
+    });
+  }
+
+  #toggleSaveMenu(isVisible = !this.#saveMenu.classList.contains("lightbox__save-menu--visible")) {
+    this.#saveMenu.classList.toggle("lightbox__save-menu--visible", isVisible);
+    this.#saveButton.classList.toggle("lightbox__toolbar-btn--active", isVisible);
+  }
+
+  async #saveConverted(format, quality, scale) {
+    const url = this.#images[this.#index];
+    if (!url) return;
+    this.#toggleSaveMenu(false);
+
+    try {
+      const blob = await convertImage(url, { type: format.type, quality, scale });
+      const objectUrl = URL.createObjectURL(blob);
+      downloadUrl(objectUrl, getDownloadFilename(url, format.extension));
+      // Give the browser time to start the download before releasing the blob
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+    } catch (error) {
+      console.error("Failed to convert image:", error);
+      showToast(`Failed to save the image as ${format.label}.`);
+    }
+  }
+
+  #addToolbarButton(icon, title, onClick) {
+    const button = this.#createElement("div", "lightbox__toolbar-btn", this.#toolbar, { title });
+    button.textContent = icon;
+    button.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onClick(e);
+    });
+    return button;
+  }
+
+  #toggleInfoPanel() {
+    const isVisible = !this.#infoPanel.classList.contains("lightbox__info--visible");
+    this.#infoPanel.classList.toggle("lightbox__info--visible", isVisible);
+    this.#infoButton.classList.toggle("lightbox__toolbar-btn--active", isVisible);
+    if (isVisible) {
+      this.#refreshInfoPanel();
+    }
+  }
+
+  async #getMetadata(url) {
+    // Parse each image's PNG chunks once; the promise is cached so concurrent calls share it
+    if (!this.#metadataCache.has(url)) {
+      const metadata = readPngTextChunks(url).catch((error) => {
+        this.#metadataCache.delete(url);
+        throw error;
+      });
+      this.#metadataCache.set(url, metadata);
+    }
+    return this.#metadataCache.get(url);
+  }
+
+  isSlideshowPlaying() {
+    return this.#slideshowTimer !== null;
+  }
+
+  toggleSlideshow() {
+    if (this.isSlideshowPlaying()) {
+      this.stopSlideshow();
+    } else {
+      this.startSlideshow();
+    }
+  }
+
+  startSlideshow() {
+    if (this.isSlideshowPlaying() || this.#images.length === 0) return;
+    this.#slideshowSeen = new Set([this.#images[this.#index]]);
+    this.#slideshowButton.textContent = "⏸️";
+    this.#slideshowButton.title = "Pause slideshow (Space)";
+    this.#slideshowButton.classList.add("lightbox__toolbar-btn--active");
+    this.#scheduleSlideshowStep();
+  }
+
+  stopSlideshow() {
+    clearTimeout(this.#slideshowTimer);
+    this.#slideshowTimer = null;
+    this.#slideshowButton.textContent = "▶️";
+    this.#slideshowButton.title = "Play slideshow (Space)";
+    this.#slideshowButton.classList.remove("lightbox__toolbar-btn--active");
+  }
+
+  #scheduleSlideshowStep() {
+    const interval = Math.max(Number(storage.getJSONVal("SlideshowInterval", 3)) || 3, 1);
+    this.#slideshowTimer = setTimeout(() => this.#slideshowStep(), interval * 1000);
+  }
+
+  async #slideshowStep() {
+    // Show the next image not yet seen in this pass, so images that arrive during playback are included
+    let nextIndex = this.#getNextSlideshowIndex();
+
+    if (nextIndex === -1) {
+      if (storage.getJSONVal("SlideshowLoop", true) === false) {
+        this.stopSlideshow();
+        return;
+      }
+      // Start a new pass over every image
+      this.#slideshowSeen = new Set([this.#images[this.#index]]);
+      nextIndex = this.#getNextSlideshowIndex();
+    }
+
+    if (nextIndex !== -1) {
+      this.#slideshowSeen.add(this.#images[nextIndex]);
+      this.#index = nextIndex;
+      await this.#update(0);
+    }
+
+    // Playback may have been stopped while the image was loading
+    if (this.isSlideshowPlaying()) {
+      this.#scheduleSlideshowStep();
+    }
+  }
+
+  #getNextSlideshowIndex() {
+    const unseenIndexes = [];
+    for (let offset = 1; offset < this.#images.length; offset++) {
+      const index = (this.#index + offset) % this.#images.length;
+      if (!this.#slideshowSeen.has(this.#images[index])) {
+        unseenIndexes.push(index);
+      }
+    }
+
+    if (unseenIndexes.length === 0) return -1;
+    if (storage.getJSONVal("SlideshowShuffle", false)) {
+      return unseenIndexes[Math.floor(Math.random() * unseenIndexes.length)];
+    }
+    return unseenIndexes[0];
+  }
+
+  async loadWorkflowFromImage(url) {
+    // Replace the canvas graph with the workflow embedded in the image
+    if (!url) return;
+
+    try {
+      const metadata = await this.#getMetadata(url);
+      const workflow = metadata.workflow ? JSON.parse(metadata.workflow) : null;
+      const prompt = metadata.prompt ? JSON.parse(metadata.prompt) : null;
+
+      if (!workflow && !(prompt && app.loadApiJson)) {
+        showToast("No workflow found in this image.");
+        return;
+      }
+
+      if (hasUnsavedWorkflowChanges() &&
+        !window.confirm("Loading this workflow will replace the current one and discard unsaved changes. Continue?")) {
+        return;
+      }
+
+      if (workflow) {
+        await app.loadGraphData(workflow);
+      } else {
+        // Images saved from API prompts only carry the prompt, not the graph layout
+        await app.loadApiJson(prompt);
+      }
+
+      if (this.isOpen()) {
+        this.close();
+      }
+      showToast(`Loaded workflow from ${getFilenameFromUrl(url)}`);
+    } catch (error) {
+      console.error("Failed to load workflow from image:", error);
+      showToast("Failed to load the workflow from this image.");
+    }
+  }
+
+  async #refreshInfoPanel() {
+    if (!this.#infoPanel.classList.contains("lightbox__info--visible")) return;
+
+    const url = this.#images[this.#index];
+    if (!url) return;
+    this.#renderInfoPanel(url, "Reading metadata…");
+
+    try {
+      const metadata = await this.#getMetadata(url);
+      // Ignore the result if the user navigated away in the meantime
+      if (url !== this.#images[this.#index]) return;
+      this.#renderInfoPanel(url, extractGenerationInfo(metadata));
+    } catch (error) {
+      console.error("Failed to read image metadata:", error);
+      if (url === this.#images[this.#index]) {
+        this.#renderInfoPanel(url, "Failed to read the image metadata.");
+      }
+    }
+  }
+
+  #renderInfoPanel(url, info) {
+    this.#infoPanel.replaceChildren();
+    const title = this.#createElement("h3", "lightbox__info-title", this.#infoPanel);
+    title.textContent = getFilenameFromUrl(url || "");
+
+    const addRow = (parent, label, value) => {
+      if (value === undefined || value === null || value === "") return;
+      const row = this.#createElement("div", "lightbox__info-row", parent);
+      this.#createElement("div", "lightbox__info-label", row).textContent = label;
+      this.#createElement("div", "lightbox__info-value", row).textContent = String(value);
+    };
+
+    const addMessage = (text) => {
+      this.#createElement("p", "lightbox__info-message", this.#infoPanel).textContent = text;
+    };
+
+    if (typeof info === "string") {
+      addMessage(info);
+      return;
+    }
+    if (!info || (info.samplers.length === 0 && info.models.length === 0)) {
+      addMessage("No generation metadata found in this image.");
+      return;
+    }
+
+    info.models.forEach((model) => addRow(this.#infoPanel, "Model", model));
+
+    info.samplers.forEach((sampler) => {
+      const section = this.#createElement("div", "lightbox__info-section", this.#infoPanel);
+      this.#createElement("h4", "lightbox__info-subtitle", section).textContent = `${sampler.type} (ID: ${sampler.id})`;
+      addRow(section, "Seed", sampler.seed);
+      addRow(section, "Steps", sampler.steps);
+      addRow(section, "CFG", sampler.cfg);
+      addRow(section, "Sampler", sampler.sampler);
+      addRow(section, "Scheduler", sampler.scheduler);
+      addRow(section, "Positive", sampler.positive);
+      addRow(section, "Negative", sampler.negative);
+    });
+  }
+
+  #createVideoControls() {
+    // Create the playback bar shown below videos
+    this.#videoControls = this.#createElement("div", "lightbox__video-controls", this.#link);
+    this.#videoControls.style.display = "none";
+    this.#videoControls.addEventListener("click", (e) => e.stopPropagation());
+
+    const addButton = (icon, title, onClick) => {
+      const button = this.#createElement("button", "lightbox__video-btn", this.#videoControls, { title });
+      button.textContent = icon;
+      button.addEventListener("click", onClick);
+      return button;
+    };
+
+    addButton("⏮", "Previous frame (,)", () => this.#stepVideoFrame(-1));
+    this.#videoPlayButton = addButton("⏸", "Play/pause (K)", () => this.#toggleVideoPlayback());
+    addButton("⏭", "Next frame (.)", () => this.#stepVideoFrame(1));
+    this.#videoLoopButton = addButton("🔁", "Loop (L)", () => this.#toggleVideoLoop());
+    this.#videoLoopButton.classList.toggle("lightbox__video-btn--active", this.#video.loop);
+    this.#videoTime = this.#createElement("span", "lightbox__video-time", this.#videoControls);
+
+    const updatePlayState = () => {
+      this.#videoPlayButton.textContent = this.#video.paused ? "▶" : "⏸";
+    };
+    this.#video.addEventListener("play", updatePlayState);
+    this.#video.addEventListener("pause", updatePlayState);
+    this.#video.addEventListener("timeupdate", () => this.#updateVideoTime());
+    this.#video.addEventListener("seeked", () => this.#updateVideoTime());
+  }
+
+  #isShowingVideo() {
+    return this.#panes[0].media === this.#video;
+  }
+
+  #toggleVideoPlayback() {
+    if (this.#video.paused) {
+      this.#video.play().catch((error) => console.error("Failed to play video:", error));
+    } else {
+      this.#video.pause();
+    }
+  }
+
+  #toggleVideoLoop() {
+    this.#video.loop = !this.#video.loop;
+    storage.setJSONVal("VideoLoop", this.#video.loop);
+    this.#videoLoopButton.classList.toggle("lightbox__video-btn--active", this.#video.loop);
+  }
+
+  #stepVideoFrame(direction) {
+    // Pause and move by one frame at the output's frame rate
+    const url = this.#images[this.#index];
+    const frameRate = this.mediaInfoCallback?.(url)?.frameRate || DEFAULT_FRAME_RATE;
+    this.#video.pause();
+    const time = this.#video.currentTime + direction / frameRate;
+    this.#video.currentTime = Math.min(Math.max(time, 0), this.#video.duration || 0);
+  }
+
+  #updateVideoTime() {
+    const formatTime = (seconds) => (Number.isFinite(seconds) ? seconds.toFixed(2) : "0.00");
+    this.#videoTime.textContent = `${formatTime(this.#video.currentTime)} / ${formatTime(this.#video.duration)}s`;
+  }
+
+  #setPrimaryMedia(isVideo) {
+    // Swap the image and video elements of the primary pane
+    this.#panes[0].media = isVideo ? this.#video : this.#img;
+    this.#img.style.display = isVideo ? "none" : "";
+    this.#video.style.display = isVideo ? "" : "none";
+    this.#videoControls.style.display = isVideo ? "flex" : "none";
+    if (!isVideo) {
+      this.#stopVideo();
+    }
+    return this.#panes[0].media;
+  }
+
+  #stopVideo() {
+    // Release the video so it stops downloading in the background
+    if (!this.#video.getAttribute("src")) return;
+    this.#video.pause();
+    this.#video.removeAttribute("src");
+    this.#video.load();
+  }
+
+  #loadVideo(url) {
+    // Load a video and resolve once its dimensions are known
+    return new Promise((resolve, reject) => {
+      this.#video.onloadedmetadata = resolve;
+      this.#video.onerror = () => reject(new Error(`Failed to load video: ${url}`));
+      this.#video.src = url;
+    });
+  }
+
+  #createCompareBar() {
+    // Create the mode switcher shown while images are pinned for comparison
+    this.#compareBar = this.#createElement("div", "lightbox__compare-bar", this.#el);
+
+    COMPARE_MODES.forEach((mode) => {
+      const button = this.#createElement("button", "lightbox__compare-btn", this.#compareBar);
+      button.textContent = COMPARE_MODE_LABELS[mode];
+      button.addEventListener("click", () => this.setCompareMode(mode));
+      this.#compareModeButtons[mode] = button;
+    });
+
+    this.#opacitySlider = this.#createElement("input", "lightbox__compare-opacity", this.#compareBar, {
+      type: "range",
+      min: "0",
+      max: "100",
+      value: "50",
+      title: "Opacity of the pinned image",
+    });
+    this.#opacitySlider.addEventListener("input", () => this.#applyCompareMode());
+  }
+
+  #createPane(url) {
+    // Create a pane holding a single image; extra panes are used for comparison
+    const el = this.#createElement("div", "lightbox__pane", this.#link);
+    const label = this.#createElement("div", "lightbox__pane-label", el);
+    const img = this.#createElement("img", "lightbox__img", el);
+    const pane = { el, label, img, media: img, url, fitScale: 1 };
+
+    img.addEventListener('mousedown', this.startPanHandler);
+    img.addEventListener("click", (e) => e.stopPropagation());
+    el.addEventListener('wheel', this.handleZoomHandler);
+    el.addEventListener('dblclick', this.resetZoomPanHandler);
+    el.addEventListener("pointerdown", this.touchStartHandler);
+    el.addEventListener("pointermove", this.touchMoveHandler);
+    el.addEventListener("pointerup", this.touchEndHandler);
+    el.addEventListener("pointercancel", this.touchEndHandler);
+
+    if (url) {
+      label.textContent = getFilenameFromUrl(url);
+      pane.loaded = new Promise((resolve) => {
+        img.onload = resolve;
+        img.onerror = () => {
+          console.error(`Failed to load compare image: ${url}`);
+          resolve();
+        };
+      });
+      img.src = url;
+    }
+
+    return pane;
+  }
+
+  #removePaneListeners(pane) {
+    pane.img.removeEventListener('mousedown', this.startPanHandler);
+    pane.el.removeEventListener('wheel', this.handleZoomHandler);
+    pane.el.removeEventListener('dblclick', this.resetZoomPanHandler);
+    pane.el.removeEventListener("pointerdown", this.touchStartHandler);
+    pane.el.removeEventListener("pointermove", this.touchMoveHandler);
+    pane.el.removeEventListener("pointerup", this.touchEndHandler);
+    pane.el.removeEventListener("pointercancel", this.touchEndHandler);
+  }
+
+  async #syncComparePanes() {
+    // Rebuild the compare panes so they match the pinned images, reusing existing panes
+    const currentImage = this.#images[this.#index];
+    const compareUrls = this.#compareImages
+      .filter((url) => url !== currentImage)
+      .slice(0, MAX_COMPARE_PANES - 1);
+
+    // Overlay modes compare the current image with the first pinned image only
+    if (this.#isOverlayMode()) {
+      compareUrls.splice(1);
+    }
+
+    const [primaryPane, ...oldPanes] = this.#panes;
+    const comparePanes = compareUrls.map((url) => {
+      const existingPane = oldPanes.find((pane) => pane.url === url);
+      return existingPane || this.#createPane(url);
+    });
+
+    oldPanes
+      .filter((pane) => !comparePanes.includes(pane))
+      .forEach((pane) => {
+        this.#removePaneListeners(pane);
+        pane.el.remove();
+      });
+
+    // Keep DOM order in line with the pin order
+    comparePanes.forEach((pane) => this.#link.appendChild(pane.el));
+    this.#panes = [primaryPane, ...comparePanes];
+
+    const isComparing = comparePanes.length > 0;
+    const paneCount = this.#panes.length;
+    this.#link.classList.toggle("lightbox__link--compare", isComparing);
+    this.#link.style.setProperty("--lightbox-columns", paneCount === 4 ? 2 : paneCount);
+    primaryPane.label.textContent = isComparing ? getFilenameFromUrl(currentImage) : "";
+
+    await Promise.all(comparePanes.map((pane) => pane.loaded));
+    this.#applyCompareMode();
+  }
+
+  #isOverlayMode() {
+    return this.#compareMode !== "side";
+  }
+
+  setCompareMode(mode) {
+    // Switch between side-by-side and the overlay compare modes
+    if (!COMPARE_MODES.includes(mode) || mode === this.#compareMode) return;
+    this.#compareMode = mode;
+    if (this.isOpen()) {
+      this.#update(0, false);
+    }
+  }
+
+  #cycleCompareMode() {
+    const nextIndex = (COMPARE_MODES.indexOf(this.#compareMode) + 1) % COMPARE_MODES.length;
+    this.setCompareMode(COMPARE_MODES[nextIndex]);
+  }
+
+  #applyCompareMode() {
+    // Apply the active compare mode to the panes, swipe handle and compare bar
+    const overlayPane = this.#panes[1];
+    const isComparing = Boolean(overlayPane);
+    const mode = isComparing ? this.#compareMode : "side";
+
+    this.#link.classList.toggle("lightbox__link--overlay", mode !== "side");
+    this.#link.classList.toggle("lightbox__link--difference", mode === "difference");
+    this.#compareBar.classList.toggle("lightbox__compare-bar--visible", isComparing);
+    this.#swipeHandle.style.display = mode === "swipe" ? "block" : "none";
+    this.#opacitySlider.style.display = mode === "onion" ? "block" : "none";
+
+    Object.entries(this.#compareModeButtons).forEach(([buttonMode, button]) => {
+      button.classList.toggle("lightbox__compare-btn--active", buttonMode === this.#compareMode);
+    });
+
+    if (!overlayPane) return;
+
+    // Swipe clips the pinned image on the right, onion skin fades it in and out
+    overlayPane.el.style.clipPath = mode === "swipe" ? `inset(0 ${100 - this.#swipePosition}% 0 0)` : "";
+    overlayPane.el.style.opacity = mode === "onion" ? this.#opacitySlider.value / 100 : "";
+    this.#swipeHandle.style.left = `${this.#swipePosition}%`;
+
+    if (mode === "difference") {
+      this.#renderDifference(overlayPane);
+    }
+  }
+
+  #renderDifference(overlayPane) {
+    // Draw the per-pixel absolute difference of both images at the current image's resolution
+    const width = this.#img.naturalWidth;
+    const height = this.#img.naturalHeight;
+    const diffKey = `${this.#img.src}|${overlayPane.url}`;
+    if (this.#isShowingVideo() || !width || !height || !overlayPane.img.naturalWidth || this.#diffKey === diffKey) return;
+
+    try {
+      const canvas = this.#diffCanvas;
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+      ctx.drawImage(overlayPane.img, 0, 0, width, height);
+      const pinnedData = ctx.getImageData(0, 0, width, height).data;
+      ctx.clearRect(0, 0, width, height);
+      ctx.drawImage(this.#img, 0, 0, width, height);
+      const currentImageData = ctx.getImageData(0, 0, width, height);
+      const currentData = currentImageData.data;
+
+      for (let i = 0; i < currentData.length; i += 4) {
+        currentData[i] = Math.abs(currentData[i] - pinnedData[i]);
+        currentData[i + 1] = Math.abs(currentData[i + 1] - pinnedData[i + 1]);
+        currentData[i + 2] = Math.abs(currentData[i + 2] - pinnedData[i + 2]);
+        currentData[i + 3] = 255;
+      }
+
+      ctx.putImageData(currentImageData, 0, 0);
+      this.#diffKey = diffKey;
+      this.#updateImageTransform();
+    } catch (error) {
+      console.error("Failed to compute image difference:", error);
+    }
+  }
+
+  #startSwipeDrag(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    this.#swipeHandle.setPointerCapture(e.pointerId);
+  }
+
+  #dragSwipe(e) {
+    if (!this.#swipeHandle.hasPointerCapture(e.pointerId)) return;
+    const linkRect = this.#link.getBoundingClientRect();
+    const position = ((e.clientX - linkRect.left) / linkRect.width) * 100;
+    this.#swipePosition = Math.min(Math.max(position, 0), 100);
+    this.#applyCompareMode();
+  }
+
+  getCompareImages() {
+    // Get the images currently pinned for comparison
+    return [...this.#compareImages];
+  }
+
+  toggleCompareImage(url) {
+    // Pin or unpin an image for side-by-side comparison
+    if (this.#compareImages.includes(url)) {
+      this.#compareImages = this.#compareImages.filter((image) => image !== url);
+    } else {
+      this.#compareImages.push(url);
+      if (this.#compareImages.length > MAX_COMPARE_PANES - 1) {
+        this.#compareImages.shift(); // Drop the oldest pin
+      }
+    }
+    this.#onCompareImagesChanged();
+  }
+
+  clearCompareImages() {
+    this.#compareImages = [];
+    this.#onCompareImagesChanged();
+  }
+
+  #onCompareImagesChanged() {
+    if (this.isOpen()) {
+      this.#update(0, false);
+    }
+    if (this.compareCallback) {
+      this.compareCallback(this.getCompareImages());
+    }
+  }
+
+  #createElement(tag, className, parent, attrs = {}) {
+    // Helper function to create and configure a DOM element
+    const el = document.createElement(tag);
+    el.className = className;
+    if (parent) parent.appendChild(el);
+    Object.entries(attrs).forEach(([key, value]) =>
+      el.setAttribute(key, value)
+    );
+    return el;
+  }
+
+  #addEventListeners() {
+    // Add event listeners for various elements in the lightbox
+    this.#el.addEventListener("click", this.handleElClick);
+    this.#closeBtn.addEventListener("click", this.handleCloseBtnClick);
+    this.#prev.addEventListener("click", this.handlePrevClick);
+    this.#next.addEventListener("click", this.handleNextClick);
+
+    document.addEventListener('mouseup', this.endPanHandler);
+    document.addEventListener('keydown', this.handleKeyDownHandler);
+
+    // Pixel inspector follows the cursor over any pane of the image area
+    this.#link.addEventListener("mousemove", (e) => this.#onInspectorMove(e));
+    this.#link.addEventListener("mouseleave", () => this.#hideLoupe());
+    this.#link.addEventListener("click", (e) => this.#onInspectorClick(e), true);
+
+    // Drag the swipe divider with pointer capture so it keeps tracking outside the handle
+    this.#swipeHandle.addEventListener("pointerdown", (e) => this.#startSwipeDrag(e));
+    this.#swipeHandle.addEventListener("pointermove", (e) => this.#dragSwipe(e));
+    this.#swipeHandle.addEventListener("click", (e) => e.stopPropagation());
+
+    // Add Pointer Lock specific event listeners
+    document.addEventListener('pointerlockchange', this.pointerLockChangeHandler);
+    document.addEventListener('pointerlockerror', this.pointerLockErrorHandler);
+    document.addEventListener("fullscreenchange", this.fullscreenChangeHandler);
+
+    // Handle resizing the window
+    window.addEventListener('resize', () => {
+      if (this.isOpen()) {
+        // Update fit, zoom limits, pan bounds and transforms
+        this.#updateFitScales();
+        this.#updateMaxScale();
+        this.#updatePanBounds();
+        this.#updateImageTransform();
+        this.#updateCursor();
+      }
+    });
+
+    // Prevent context menu when panning
+    this.#img.addEventListener('contextmenu', (e) => {
+      if (this.isPanning) {
+        e.preventDefault();
+      }
+    });
+  }
+
+  #onPointerLockChange() {
+    // Handle pointer lock changes (used for panning)
+    const lockedElements = [...this.#panes.map((pane) => pane.media), this.#tile];
+    if (lockedElements.includes(document.pointerLockElement)) {
+      this.isPanning = true;
+      this.mouseMovedDuringPan = false;
+      this.#updateCursor();
+
+      // Add event listener for mouse movement during pointer lock
+      document.addEventListener('mousemove', this.panHandler);
+    } else if (this.isPanning) {
+      this.isPanning = false;
+      this.#updateCursor();
+
+      // Remove the mousemove listener
+      document.removeEventListener('mousemove', this.panHandler);
+    }
+  }
+
+  #onPointerLockError() {
+    // Pointer Lock can be refused (e.g. on touch devices), so fall back to plain drag panning
+    console.error('Pointer Lock failed.');
+    this.#startDragPan();
+  }
+
+  forceReflow(element) {
+    // Reading a property that requires layout will force a reflow
+    return element.offsetHeight;
+  }
+
+  #triggerArrowClickEffect(arrowElement) {
+    // Trigger a visual effect on arrow click
+    const innerArrow = arrowElement.querySelector(".arrow-inner");
+
+    if (innerArrow) {
+      innerArrow.classList.remove("arrow-click-effect");
+      // Force a reflow by getting and setting a layout property
+      this.forceReflow(innerArrow);
+      innerArrow.classList.add("arrow-click-effect");
+
+      innerArrow.addEventListener(
+        "animationend",
+        () => {
+          innerArrow.classList.remove("arrow-click-effect");
+        },
+        { once: true }
+      );
+    }
+  }
+
+  #handleKeyDown(event) {
+    // Handle key presses for navigation and closing
+    if (!this.isOpen()) return;
+
+    // Ctrl+C copies the image and Ctrl+Shift+C its link, unless text is selected
+    const isCopyShortcut = (event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === "c";
+    if (isCopyShortcut && !window.getSelection()?.toString()) {
+      const url = this.#images[this.#index];
+      if (url && event.shiftKey) {
+        copyTextToClipboard(url, "Link copied to clipboard");
+      } else if (url) {
+        copyImageToClipboard(url);
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      return;
+    }
+
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest?.("input, textarea, select")) return;
+    switch (event.key) {
+      case "ArrowLeft":
+      case "a":
+        this.#update(-1);
+        break;
+      case "ArrowRight":
+      case "d":
+        this.#update(1);
+        break;
+      case "Escape":
+        this.close();
+        break;
+      case "c":
+        this.toggleCompareImage(this.#images[this.#index]);
+        break;
+      case "C":
+        this.clearCompareImages();
+        break;
+      case "m":
+        this.#cycleCompareMode();
+        break;
+      case "i":
+        this.#toggleInfoPanel();
+        break;
+      case " ":
+        this.toggleSlideshow();
+        break;
+      case "s":
+        this.#toggleFilmstrip();
+        break;
+      case "e":
+        this.#toggleInspector();
+        break;
+      case "k":
+        if (this.#isShowingVideo()) this.#toggleVideoPlayback();
+        break;
+      case ",":
+        if (this.#isShowingVideo()) this.#stepVideoFrame(-1);
+        break;
+      case ".":
+        if (this.#isShowingVideo()) this.#stepVideoFrame(1);
+        break;
+      case "l":
+        if (this.#isShowingVideo()) this.#toggleVideoLoop();
+        break;
+      case "r":
+        this.#rotate(90);
+        break;
+      case "R":
+        this.#rotate(-90);
+        break;
+      case "h":
+        this.#toggleFlip("x");
+        break;
+      case "v":
+        this.#toggleFlip("y");
+        break;
+      case "f":
+        this.toggleFullscreen();
+        break;
+      case "g":
+        this.#toggleHistogram();
+        break;
+      case "n":
+        this.#cycleChannelMode();
+        break;
+      case "b":
+        this.#toggleCheckerboard();
+        break;
+      case "t":
+        this.#toggleTile();
+        break;
+      case "T":
+        this.#toggleTileSeams();
+        break;
+      case "p":
+        this.#toggleFavorite();
+        break;
+      case "0":
+      case "1":
+      case "2":
+      case "3":
+      case "4":
+      case "5":
+        this.#rate(Number(event.key));
+        break;
+      case "o":
+        this.#zoomToActualSize();
+        break;
+      case "z":
+        this.#resetZoomPan();
+        break;
+      case "x":
+        this.#zoomToFill();
+        break;
+      default:
+        return;
+    }
+
+    // Keep handled keys away from the ComfyUI keybindings underneath
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  show(images, index = 0) {
+    // Show the lightbox with the specified images and starting index
+    this.#images = images;
+    this.#index = index;
+    this.#updateArrowStyles();
+    this.#el.style.display = "flex"; // Open first, as #update only loads media into an open lightbox
+    this.#update(0);
+    setTimeout(() => (this.#el.style.opacity = 1), 0);
+  }
+
+  close() {
+    // Close the lightbox with a fade-out effect
+    this.stopSlideshow();
+    this.#stopVideo();
+    this.#clearImageCache(); // Free the decoded images while the lightbox is hidden
+    this.navigationCallback?.(null);
+    this.#resetOrientation();
+    this.#setChannelMode("rgb");
+    if (this.#tileActive) {
+      this.#toggleTile();
+    }
+    if (this.isFullscreen()) {
+      document.exitFullscreen().catch(() => {});
+    }
+    this.#el.style.opacity = 0;
+    setTimeout(() => {
+      this.#el.style.display = "none";
+    }, 300); // Match the transition duration
+  }
+
+  initializeImages(images) {
+    // Initialize the image list
+    this.#images = images;
+  }
+
+  async #update(shift, resetZoomPan = true) {
+    // Ensure images are available
+    if (!Array.isArray(this.#images) || this.#images.length === 0) {
+      console.debug("Initialising Lightbox - No images available.");
+      return;
+    }
+
+    let newIndex = this.#index + shift;
+
+    // Implement wrapping behavior for navigation
+    if (newIndex < 0) {
+      newIndex = this.#images.length - 1; // Wrap to the last image
+    } else if (newIndex >= this.#images.length) {
+      newIndex = 0; // Wrap to the first image
+    }
+
+    // Check if we are updating the same image without needing to reset
+    const isSameImage = newIndex === this.#index;
+
+    this.#index = newIndex;
+
+    // Update arrow styles and the filmstrip based on the current index
+    this.#updateArrowStyles();
+
+    // A closed lightbox only tracks the index; media is loaded once it is shown
+    if (!this.isOpen()) return;
+    this.#renderFilmstrip();
+
+    // If we're not resetting zoom/pan and the image hasn't changed, skip reloading
+    if (isSameImage && !resetZoomPan) {
+      // Only refresh the compare panes, pan bounds and cursor without reloading the image
+      await this.#syncComparePanes();
+      this.#updateFitScales();
+      this.#updatePanBounds();
+      this.#updateImageTransform();
+      this.#updateCursor();
+      return;
+    }
+
+    const img = this.#images[this.#index];
+
+    // Ensure the image source is valid
+    if (!img) {
+      console.error(`Image at index ${this.#index} is undefined or invalid.`);
+      this.#spinner.style.display = "none";
+      this.#img.alt = "Image not available";
+      return;
+    }
+
+    const isVideo = getMediaKind(img) === "video";
+    const isVideoLoaded = isVideo && this.#video.getAttribute("src") === img;
+    const media = this.#setPrimaryMedia(isVideo);
+
+    // Images already decoded by the cache are swapped in without fading out or the spinner
+    const isCached = isVideoLoaded || (!isVideo && this.#imageCache.get(img)?.bytes > 0);
+    if (!isCached) {
+      media.style.opacity = 0;
+      this.#spinner.style.display = "block";
+    }
+    try {
+      if (isVideo && !isVideoLoaded) {
+        // Keep a video that is already playing rather than restarting it on every list change
+        await this.#loadVideo(img);
+        if (img !== this.#images[this.#index] || !this.isOpen()) return;
+        this.#video.play().catch(() => {}); // Autoplay may be blocked; the controls still work
+      } else if (!isVideo) {
+        await this.#getDecodedImage(img);
+
+        // A newer navigation took over while this image was loading
+        if (img !== this.#images[this.#index]) return;
+
+        // The cached copy keeps the image available, so the element is usually complete immediately
+        this.#img.src = img;
+        if (!this.#img.complete || !this.#img.naturalWidth) {
+          await this.#img.decode();
+        }
+      }
+
+      ({ width: this.originalWidth, height: this.originalHeight } = getMediaSize(media));
+
+    // Set .lightbox__main size
+    this.#updateMainSize();
+
+      // Lay out the compare panes and the tile preview before measuring them
+      this.#refreshTile();
+      await this.#syncComparePanes();
+
+      // Calculate fitScale to make each image as large as possible within its pane
+      this.#updateFitScales();
+      this.#updateMaxScale();
+
+      if (resetZoomPan) {
+        this.imageScale = this.#minScale;
+        this.panX = 0;
+        this.panY = 0;
+      }
+
+      this.#updatePanBounds();
+      this.#updateImageTransform();
+      media.style.opacity = 1;
+    } catch (err) {
+      console.error("Failed to load image:", img, err);
+      this.#img.alt = "Failed to load image";
+    } finally {
+      this.#spinner.style.display = "none";
+    }
+
+    // Use requestAnimationFrame to ensure styles are applied before calculating pan bounds
+    requestAnimationFrame(() => {
+      this.#updatePanBounds();
+      this.#updateImageTransform();
+      this.#updateCursor();
+    });
+
+    this.#refreshInfoPanel();
+    this.#refreshHistogram();
+    this.refreshFavoriteState();
+    this.refreshLabels();
+    this.#preloadNeighbors();
+    this.navigationCallback?.(img);
+  }
+
+  #getDecodedImage(url) {
+    // Return a cached decoded image, loading and decoding it on a miss
+    let entry = this.#imageCache.get(url);
+    if (entry) {
+      // Mark as most recently used
+      this.#imageCache.delete(url);
+      this.#imageCache.set(url, entry);
+      return entry.promise;
+    }
+
+    const img = new Image();
+    img.decoding = "async";
+    img.src = url;
+    entry = { img, bytes: 0 };
+    entry.promise = img.decode().then(
+      () => {
+        // Only count the image if it wasn't evicted while decoding
+        if (this.#imageCache.get(url) === entry) {
+          entry.bytes = img.naturalWidth * img.naturalHeight * BYTES_PER_PIXEL;
+          this.#imageCacheBytes += entry.bytes;
+          this.#evictImageCache();
+        }
+        return img;
+      },
+      (error) => {
+        if (this.#imageCache.get(url) === entry) {
+          this.#imageCache.delete(url);
+        }
+        throw error;
+      }
+    );
+    this.#imageCache.set(url, entry);
+    return entry.promise;
+  }
+
+  #evictImageCache() {
+    // Drop least recently used images until the cache fits its memory budget
+    const budget = storage.getJSONVal("CacheBudget", 512) * 1024 * 1024;
+    const currentImage = this.#images[this.#index];
+    for (const [url, entry] of this.#imageCache) {
+      if (this.#imageCacheBytes <= budget) break;
+      if (url === currentImage) continue;
+      this.#imageCache.delete(url);
+      this.#imageCacheBytes -= entry.bytes;
+    }
+  }
+
+  #clearImageCache() {
+    this.#imageCache.clear();
+    this.#imageCacheBytes = 0;
+    this.#pixelDataCache.clear();
+  }
+
+  #preloadNeighbors() {
+    // Decode the images either side of the current one, nearest last so they are evicted last
+    if (!this.isOpen()) return;
+    const total = this.#images.length;
+    const count = Math.min(storage.getJSONVal("PreloadCount", 2), total - 1);
+    const indexes = [];
+    for (let offset = count; offset > 0; offset--) {
+      indexes.push((this.#index + offset) % total, (this.#index - offset + total) % total);
+    }
+
+    // In short lists both directions wrap onto the same images, so keep each one's nearest position
+    indexes
+      .filter((index, position) => index !== this.#index && !indexes.includes(index, position + 1))
+      .forEach((index) => {
+        const url = this.#images[index];
+        if (url && getMediaKind(url) === "image") {
+          this.#getDecodedImage(url).catch(() => {}); // Errors surface when the image is shown
+        }
+      });
+  }
+
+  #updateArrowStyles() {
+    const totalImages = this.#images.length;
+    const isAtFirstImage = this.#index === 0;
+    const isAtLastImage = this.#index === totalImages - 1;
+
+    // Handle arrow visibility and disabled state
+    if (totalImages <= 1) {
+      this.#prev.classList.add("disabled");
+      this.#next.classList.add("disabled");
+      this.#prev.classList.remove("lightbox__prev--wrap");
+      this.#next.classList.remove("lightbox__next--wrap");
+    } else {
+      // Multiple images
+      this.#prev.classList.remove("disabled");
+      this.#next.classList.remove("disabled");
+
+      // Handle wrap classes for the arrows
+      this.#prev.classList.toggle("lightbox__prev--wrap", isAtFirstImage);
+      this.#next.classList.toggle("lightbox__next--wrap", isAtLastImage);
+    }
+  }
+
+  isOpen() {
+    // Check if the lightbox is currently open
+    return this.#el.style.display === "flex";
+  }
+
+  getCurrentImage() {
+    return this.isOpen() ? this.#images[this.#index] : null;
+  }
+
+  getCurrentIndex() {
+    // Get the current image index
+    return this.#index;
+  }
+
+  handleImageListChange(newImageArray) {
+    // Update the image list without resetting zoom and pan
+    this.updateImageList(newImageArray, false);
+  }
+
+  updateImageList(newImages, resetZoomPan = true) {
+    // Update the image list and optionally reset zoom/pan
+    const currentImage = this.#images[this.#index];
+    this.#images = newImages;
+
+    const newIndex = this.#images.indexOf(currentImage);
+    if (newIndex !== -1) {
+      this.#index = newIndex;
+    } else {
+      this.#index = Math.min(this.#index, this.#images.length - 1);
+    }
+
+    this.#updateArrowStyles();
+    this.#update(0, resetZoomPan);
+  }
+
+  updateCurrentImage(newIndex) {
+    // Update the currently displayed image to the specified index
+    if (newIndex >= 0 && newIndex < this.#images.length) {
+      this.#index = newIndex;
+      this.#update(0); // Update without moving
+    }
+  }
+}
+
+const PREFIX = "simpleTray.imageFeed.";
+const ELIGIBLE_NODES = [
+  "SaveImage",
+  "PreviewImage",
+  "KSampler",
+  "KSampler (Efficient)",
+  "KSampler Adv. (Efficient)",
+  "KSampler SDXL (Eff.)",
+];
+
+const storage = {
+  getVal: (key, defaultValue) => {
+    const value = localStorage.getItem(PREFIX + key);
+    return value === null ? defaultValue : value.replace(/^"(.*)"$/g, "$1");
+  },
+  setVal: (key, value) => {
+    localStorage.setItem(
+      PREFIX + key,
+      typeof value === "boolean" ? value.toString() : value
+    );
+  },
+  getJSONVal: (key, defaultValue) => {
+    try {
+      const value = localStorage.getItem(PREFIX + key);
+      return value ? JSON.parse(value) : defaultValue;
+    } catch (error) {
+      console.error(`Error retrieving ${key} from localStorage`, error);
+      return defaultValue;
+    }
+  },
+  setJSONVal: (key, value) => {
+    try {
+      localStorage.setItem(PREFIX + key, JSON.stringify(value));
+    } catch (error) {
+      console.error("Error saving to localStorage", error);
+    }
+  },
+};
+
+const FEED_DB_NAME = "simpleTray.imageFeed";
+const FEED_DB_VERSION = 1;
+const FEED_BATCH_STORE = "batches";
+
+// Persists the feed's batches in IndexedDB so the tray survives page reloads
+const feedStore = {
+  dbPromise: null,
+  open: () => {
+    feedStore.dbPromise ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(FEED_DB_NAME, FEED_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(FEED_BATCH_STORE, { keyPath: "id" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return feedStore.dbPromise;
+  },
+  run: async (mode, operation) => {
+    const db = await feedStore.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(FEED_BATCH_STORE, mode);
+      const request = operation(transaction.objectStore(FEED_BATCH_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  },
+  getBatches: async () => {
+    try {
+      return await feedStore.run("readonly", (store) => store.getAll());
+    } catch (error) {
+      console.error("Error reading the feed from IndexedDB", error);
+      return null; // Unlike an empty feed, tells the caller the saved feed could not be read
+    }
+  },
+  putBatch: async (record) => {
+    try {
+      await feedStore.run("readwrite", (store) => store.put(record));
+    } catch (error) {
+      console.error("Error saving the feed to IndexedDB", error);
+    }
+  },
+  deleteBatch: async (id) => {
+    try {
+      await feedStore.run("readwrite", (store) => store.delete(id));
+    } catch (error) {
+      console.error("Error removing a batch from IndexedDB", error);
+    }
+  },
+  clear: async () => {
+    try {
+      await feedStore.run("readwrite", (store) => store.clear());
+    } catch (error) {
+      console.error("Error clearing the feed in IndexedDB", error);
+    }
+  },
+};
+
+const createElement = (type, options = {}) => {
+  const element = document.createElement(type);
+  Object.entries(options).forEach(([key, value]) => {
+    if (key === "style") {
+      Object.assign(element.style, value);
+    } else if (key === "classList") {
+      element.classList.add(...value);
+    } else {
+      element[key] = value;
+    }
+  });
+  return element;
+};
+
+class ImageFeed {
+  constructor() {
+    this.visible = storage.getJSONVal("Visible", true);
+    this.imageFeed = null;
+    this.imageList = null;
+    this.buttonPanel = null;
+    this.currentBatchIdentifier = null;
+    this.selectedNodeIds = storage.getJSONVal("NodeFilter", []);
+    this.imageNodes = [];
+    this.sortOrder = storage.getJSONVal("SortOrder", "ID");
+    this.layout = storage.getJSONVal("Layout", "strip");
+    this.feedLocation = storage.getJSONVal("Location", "bottom");
+    this.lightbox = new Lightbox(this.getAllImages.bind(this));
+    this.lightbox.registerForUpdates(this.updateLightboxIfOpen.bind(this));
+    this.lightbox.registerForNavigation(this.releaseHeldImage.bind(this));
+    this.lightbox.registerForCompareChanges(this.updateCompareMarkers.bind(this));
+    this.lightbox.registerForBatchLookup(this.getImageBatchKeys.bind(this));
+    this.lightbox.registerForMediaInfo((url) => this.itemsByUrl.get(url));
+    this.lightbox.registerForFavorites(
+      (url) => this.toggleFavorite(url),
+      (url) => this.isFavorite(url)
+    );
+    this.lightbox.registerForLabels(
+      (url) => this.getLabels(url),
+      (url, changes) => this.updateLabels(url, changes),
+      (url) => this.editTags(url)
+    );
+    this.lightbox.registerForBatchDownload((url) => {
+      // Look the batch up by prompt, as the lightbox may be showing the favorite copy of the image
+      const item = this.itemsByUrl.get(url);
+      const batch = this.batches.find((candidate) => candidate.id === item?.promptId);
+      if (batch) {
+        this.downloadBatchAsZip(batch);
+      } else {
+        showToast("The batch of this image is no longer in the tray.");
+      }
+    });
+    this.batches = []; // Batches in display order, each holding its items and batch element
+    this.favoritesSection = null; // Favorite images, kept at the start of the tray apart from the batches
+    this.imageLabels = storage.getJSONVal("ImageLabels", {}); // Rating and tags of each image, by URL
+    this.heldImageUrl = null; // The image rated in the lightbox, kept there until it moves on
+    this.canPruneLabels = false; // Set once the saved feed and the history backfill are in the tray
+    this.labelFilter = storage.getJSONVal("LabelFilter", { minRating: 0, tags: [] });
+    this.layoutButton = null;
+    this.currentBatch = null;
+    this.itemsByUrl = new Map(); // Feed items keyed by absolute URL
+    this.thumbnailItems = new WeakMap(); // Feed items keyed by their mounted .image-container
+    this.selectedItems = new Set(); // Items selected in the tray for bulk actions
+    this.selectionAnchor = null; // The item a Shift-click range starts from
+    this.selectionBar = null;
+    this.lightboxItems = null; // The items opened in the lightbox when that is only the selection
+    this.itemSequence = 0; // Arrival order of items, so batches are saved in the order they were built
+    this.dirtyBatches = new Set(); // Batches changed since they were last saved
+    this.saveDirtyBatchesDebounced = debounce(() => this.saveDirtyBatches(), 500);
+    this.isAddingInBulk = false; // Set while restoring or backfilling, so the lightbox is updated once at the end
+    this.batchObserver = null;
+    this.thumbnailObserver = null;
+    this.thumbnailCache = new Map(); // Thumbnail decodes by size and image source, least recently used first
+    this.observer = null;
+    this.contextMenu = null;
+
+    setTimeout(() => {
+      const initialImages = this.getAllImages();
+      this.lightbox.initializeImages(initialImages);
+    }, 0);
+  }
+
+  async setup() {
+    this.createMainElements();
+    this.createButtons();
+    this.restoreFavorites();
+    const isFeedRestored = await this.restoreFeed();
+    this.setupEventListeners();
+    this.updateControlPositions(this.feedLocation);
+    this.adjustImageTray();
+    this.waitForSideToolbar();
+
+    // The backfill waits on the server, so the tray starts without it. Until both are in,
+    // labels of images not yet back in the tray are kept.
+    if (storage.getJSONVal("LoadHistory", false)) {
+      this.loadRecentHistory().then(() => (this.canPruneLabels = isFeedRestored));
+    } else {
+      this.canPruneLabels = isFeedRestored;
+    }
+    this.setupSettings();
+
+    this.changeFeedVisibility(this.visible);
+  }
+
+  destroy() {
+    api.removeEventListener("execution_start", this.onExecutionStart);
+    api.removeEventListener("executed", this.onExecuted);
+    window.removeEventListener("resize", this.adjustImageTrayDebounced);
+    document.removeEventListener("keydown", this.handleSelectionKeyDown);
+    document.removeEventListener("visibilitychange", this.handlePageHide);
+    window.removeEventListener("pagehide", this.handlePageHide);
+    this.closeContextMenu();
+
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    this.batchObserver?.disconnect();
+    this.thumbnailObserver?.disconnect();
+    this.clearThumbnailCache();
+
+    if (this.lightbox) {
+      this.lightbox.destroy();
+    }
+  }
+
+  createMainElements() {
+    this.imageFeed = $el("div", {
+      className: "tb-image-feed",
+      parent: document.body,
+    });
+    this.imageList = $el("div", { className: "tb-image-feed-list" });
+    this.buttonPanel = $el("div", { className: "tb-image-feed-btn-group" });
+    this.imageFeed.append(this.imageList, this.buttonPanel);
+    this.imageFeed.classList.toggle("tb-image-feed--gallery", this.isGalleryLayout());
+    this.createFavoritesSection();
+
+    // Only batches near the visible part of the tray have their images mounted
+    this.batchObserver = new IntersectionObserver((entries) => this.onBatchIntersection(entries), {
+      root: this.imageList,
+      rootMargin: BATCH_MOUNT_MARGIN,
+    });
+    this.thumbnailObserver = new IntersectionObserver((entries) => this.onThumbnailIntersection(entries), {
+      root: this.imageList,
+    });
+  }
+
+  createButtons() {
+    const clearButton = this.createButton("Clear", () => this.clearImageFeed());
+    const nodeFilterButton = this.createButton("Node Filter", () =>
+      this.showNodeFilter()
+    );
+    this.layoutButton = this.createButton(this.isGalleryLayout() ? "Strip" : "Gallery", () =>
+      this.setLayout(this.isGalleryLayout() ? "strip" : "gallery")
+    );
+    this.createSelectionBar();
+    this.buttonPanel.append(
+      this.selectionBar,
+      this.createLabelFilterBar(),
+      this.layoutButton,
+      nodeFilterButton,
+      clearButton
+    );
+  }
+
+  isGalleryLayout() {
+    return this.layout === "gallery";
+  }
+
+  setLayout(layout) {
+    // Switch between the single-row strip and the wrapping gallery grid
+    storage.setJSONVal("Layout", layout);
+    this.layout = layout;
+    const isGallery = layout === "gallery";
+    this.imageFeed.classList.toggle("tb-image-feed--gallery", isGallery);
+    this.layoutButton.textContent = isGallery ? "Strip" : "Gallery";
+
+    this.adjustImageTray();
+    this.resetBatchSizes();
+  }
+
+  isVerticalDock() {
+    return ["left", "right"].includes(this.feedLocation);
+  }
+
+  isColumnLayout() {
+    // The strip turns into a single column when docked to the left or right
+    return this.isVerticalDock() && !this.isGalleryLayout();
+  }
+
+  createLabelFilterBar() {
+    // Show only images at or above a rating and carrying every one of the given tags
+    const { minRating, tags } = this.labelFilter;
+    const ratingOptions = Array.from({ length: MAX_RATING + 1 }, (_, rating) =>
+      $el("option", {
+        value: String(rating),
+        textContent: rating === 0 ? "All ratings" : `${"★".repeat(rating)}+`,
+      })
+    );
+    const ratingSelect = $el("select.tb-image-feed-filter-rating", {
+      title: "Minimum rating",
+      onchange: () => this.setLabelFilter({ minRating: Number(ratingSelect.value) }),
+    }, ratingOptions);
+    ratingSelect.value = String(minRating);
+
+    const tagInput = $el("input.tb-image-feed-filter-tags", {
+      type: "text",
+      placeholder: "Filter tags",
+      title: "Show only images with all of these comma-separated tags",
+      value: tags.join(", "),
+      oninput: debounce(() => this.setLabelFilter({ tags: parseTags(tagInput.value) }), 300),
+    });
+    return $el("div.tb-image-feed-filter", [ratingSelect, tagInput]);
+  }
+
+  createSelectionBar() {
+    // Bulk actions for the selected images, shown only while something is selected
+    this.selectionCount = $el("span.tb-image-feed-selection-count");
+    this.selectionBar = $el("div.tb-image-feed-selection", [
+      this.selectionCount,
+      this.createButton("Open", () => this.openSelectionInLightbox()),
+      this.createButton("Download", () => this.downloadSelection()),
+      this.createButton("ZIP", () => this.downloadItemsAsZip(this.getSelectedItemsInOrder(), `selection-${Date.now()}.zip`)),
+      this.createButton("Copy Links", () => this.copySelectionLinks()),
+      this.createButton("Remove", () => this.removeItems([...this.selectedItems])),
+      this.createButton("✕", () => this.setSelection(new Set())),
+    ]);
+    this.selectionBar.style.display = "none";
+  }
+
+  createButton(text, onClick) {
+    return $el("button.tb-image-feed-btn", {
+      textContent: text,
+      onclick: onClick,
+    });
+  }
+
+  setupEventListeners() {
+    api.addEventListener("execution_start", this.onExecutionStart.bind(this));
+    api.addEventListener("executed", this.onExecuted.bind(this));
+    this.adjustImageTrayDebounced = debounce(() => {
+      this.adjustImageTray();
+      this.updateBatchSizes();
+    }, 200);
+    window.addEventListener("resize", this.adjustImageTrayDebounced);
+    this.setupTouchScrolling();
+    this.setupSelectionBand();
+
+    // Escape clears the selection when nothing else is using the keyboard
+    this.handleSelectionKeyDown = (e) => {
+      if (e.key !== "Escape" || this.selectedItems.size === 0 || this.lightbox.isOpen()) return;
+      if (e.target.closest?.("input, textarea, select")) return;
+      this.setSelection(new Set());
+    };
+    document.addEventListener("keydown", this.handleSelectionKeyDown);
+
+    // A reload or tab close would drop the debounced save, so save as soon as the page is hidden
+    this.handlePageHide = (e) => {
+      if (e.type === "pagehide" || document.visibilityState === "hidden") this.saveDirtyBatches();
+    };
+    document.addEventListener("visibilitychange", this.handlePageHide);
+    window.addEventListener("pagehide", this.handlePageHide);
+  }
+
+  setupSelectionBand() {
+    // Drag across the tray with the mouse to select every thumbnail the band touches
+    const list = this.imageList;
+    let band = null;
+
+    list.addEventListener("pointerdown", (e) => {
+      if (e.pointerType !== "mouse" || e.button !== 0) return;
+      band = {
+        pointerId: e.pointerId,
+        startX: e.clientX,
+        startY: e.clientY,
+        isAdditive: e.ctrlKey || e.metaKey || e.shiftKey,
+        initialSelection: new Set(this.selectedItems),
+        el: null,
+      };
+    });
+
+    list.addEventListener("pointermove", (e) => {
+      if (!band || e.pointerId !== band.pointerId) return;
+      if (!band.el) {
+        // Small movements are still clicks
+        if (Math.hypot(e.clientX - band.startX, e.clientY - band.startY) <= TAP_TOLERANCE) return;
+        band.el = createElement("div", { className: "tb-selection-band" });
+        document.body.appendChild(band.el);
+        list.setPointerCapture(e.pointerId);
+      }
+
+      const left = Math.min(band.startX, e.clientX);
+      const top = Math.min(band.startY, e.clientY);
+      const right = Math.max(band.startX, e.clientX);
+      const bottom = Math.max(band.startY, e.clientY);
+      Object.assign(band.el.style, {
+        left: `${left}px`,
+        top: `${top}px`,
+        width: `${right - left}px`,
+        height: `${bottom - top}px`,
+      });
+
+      const selection = band.isAdditive ? new Set(band.initialSelection) : new Set();
+      list.querySelectorAll(".image-container").forEach((imageElement) => {
+        const rect = imageElement.getBoundingClientRect();
+        if (rect.right > left && rect.left < right && rect.bottom > top && rect.top < bottom) {
+          selection.add(this.thumbnailItems.get(imageElement));
+        }
+      });
+      this.setSelection(selection);
+    });
+
+    const endBand = (e) => {
+      if (!band || e.pointerId !== band.pointerId) return;
+      if (band.el) {
+        band.el.remove();
+        this.suppressNextClick = true; // The click that ends the drag should not open an image
+      }
+      band = null;
+    };
+    list.addEventListener("pointerup", endBand);
+    list.addEventListener("pointercancel", endBand);
+  }
+
+  setupTouchScrolling() {
+    // Drag the tray with a finger or pen and let it coast after release
+    const list = this.imageList;
+    let drag = null;
+    let momentumFrame = null;
+
+    list.addEventListener("pointerdown", (e) => {
+      if (e.pointerType === "mouse") return;
+      cancelAnimationFrame(momentumFrame);
+      this.suppressNextClick = false;
+      drag = {
+        pointerId: e.pointerId,
+        lastX: e.clientX,
+        lastY: e.clientY,
+        lastTime: performance.now(),
+        velocityX: 0,
+        velocityY: 0,
+        distance: 0,
+      };
+    });
+
+    list.addEventListener("pointermove", (e) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      const now = performance.now();
+      const deltaX = e.clientX - drag.lastX;
+      const deltaY = e.clientY - drag.lastY;
+      const frames = Math.max(now - drag.lastTime, 1) / 16; // Velocity in pixels per frame
+
+      list.scrollLeft -= deltaX;
+      list.scrollTop -= deltaY;
+      drag.velocityX = deltaX / frames;
+      drag.velocityY = deltaY / frames;
+      drag.distance += Math.abs(deltaX) + Math.abs(deltaY);
+      drag.lastX = e.clientX;
+      drag.lastY = e.clientY;
+      drag.lastTime = now;
+    });
+
+    const endDrag = (e) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      let { velocityX, velocityY } = drag;
+      this.suppressNextClick = drag.distance > TAP_TOLERANCE;
+      drag = null;
+
+      const coast = () => {
+        velocityX *= MOMENTUM_FRICTION;
+        velocityY *= MOMENTUM_FRICTION;
+        list.scrollLeft -= velocityX;
+        list.scrollTop -= velocityY;
+        if (Math.abs(velocityX) > MOMENTUM_MIN_VELOCITY || Math.abs(velocityY) > MOMENTUM_MIN_VELOCITY) {
+          momentumFrame = requestAnimationFrame(coast);
+        }
+      };
+      momentumFrame = requestAnimationFrame(coast);
+    };
+    list.addEventListener("pointerup", endDrag);
+    list.addEventListener("pointercancel", endDrag);
+
+    // A drag should not open the image it started on
+    list.addEventListener("click", (e) => {
+      if (this.suppressNextClick) {
+        e.stopPropagation();
+        e.preventDefault();
+        this.suppressNextClick = false;
+      }
+    }, true);
+  }
+
+  forceReflow(element) {
+    return element.offsetHeight;
+  }
+
+  getCurrentState() {
+    return {
+      images: this.getAllImages(),
+      currentIndex: this.lightbox ? this.lightbox.getCurrentIndex() : 0,
+    };
+  }
+
+  onExecutionStart({ detail }) {
+    const filterEnabled = storage.getJSONVal("FilterEnabled", false);
+    if (filterEnabled && (!this.selectedNodeIds || this.selectedNodeIds.length === 0)) {
+      storage.setJSONVal("FilterEnabled", false);
+    }
+  }
+
+  onExecuted({ detail }) {
+    if (!this.visible || getOutputMedia(detail?.output).length === 0) {
+      return;
+    }
+    this.handleExecuted(detail);
+  }
+
+  updateLightboxIfOpen() {
+    this.forceReflow(this.imageFeed);
+    const currentImages = this.getLightboxItems().map((item) => item.url);
+    this.lightbox.updateImageList(currentImages);
+    if (this.lightbox.isOpen()) {
+      this.lightbox.handleImageListChange(currentImages);
+    }
+  }
+
+  handleExecuted(detail) {
+    if (!this.visible || getOutputMedia(detail?.output).length === 0) return;
+
+    const newestToOldest = storage.getVal("NewestFirst", "newest") === "newest";
+    const filterEnabled = storage.getJSONVal("FilterEnabled", false);
+    const newBatchIdentifier = detail.prompt_id;
+
+    if (detail.node?.includes(":")) {
+      const n = app.graph.getNodeById(detail.node.split(":")[0]);
+      if (n?.getInnerNodes) return;
+    }
+
+    const isNewBatch = newBatchIdentifier !== this.currentBatchIdentifier;
+
+    if (isNewBatch) {
+      this.createNewBatch(newestToOldest, newBatchIdentifier);
+    }
+
+    this.addImagesToBatch(detail, filterEnabled, newestToOldest);
+    this.checkAndRemoveExtraImageBatches();
+    this.forceReflow(this.imageFeed);
+  }
+
+  createNewBatch(newestToOldest, newBatchIdentifier) {
+    const el = createElement("div", {
+      className: "image-batch-container",
+    });
 
-    this.#img.addEventListener('mousedown', this.startPanHandler);
-    document.addEventListener('mouseup', this.endPanHandler);
-    document.addEventListener('keydown', this.handleKeyDownHandler);
-    this.#img.addEventListener('wheel', this.handleZoomHandler);
-    this.#img.addEventListener('dblclick', this.resetZoomPanHandler);
+    const header = createElement("div", { className: "image-batch-header" });
+    el.appendChild(header);
 
-    // Add Pointer Lock specific event listeners
-    document.addEventListener('pointerlockchange', this.pointerLockChangeHandler);
-    document.addEventListener('pointerlockerror', this.pointerLockErrorHandler);
+    const startBar = createElement("div", {
+      className: "image-feed-vertical-bar",
+    });
+    el.appendChild(startBar);
 
-    // Handle resizing the window
-    window.addEventListener('resize', () => {
-      if (this.isOpen()) {
-        // Keep maxScale as a fixed constant
-        this.#maxScale = 10;
+    let endBar = null;
+    const isFirstBatch = this.batches.length === 0;
+    if (isFirstBatch && newestToOldest) {
+      endBar = createElement("div", {
+        className: "image-feed-vertical-bar",
+      });
+      el.appendChild(endBar);
+    }
 
-        // Update pan bounds and transforms
-        this.#updatePanBounds();
-        this.#updateImageTransform();
-        this.#updateCursor();
-      }
-    });
+    this.currentBatch = {
+      id: newBatchIdentifier,
+      timestamp: Date.now(),
+      items: [],
+      el,
+      header,
+      startBar,
+      endBar,
+      mounted: false,
+    };
+    this.updateBatchHeader(this.currentBatch);
 
-    // Stop propagation when clicking on the image itself (to avoid closing the lightbox)
-    this.#img.addEventListener("click", (e) => e.stopPropagation());
+    el.appendChild(this.createBatchZipButton(this.currentBatch));
 
-    // Prevent context menu when panning
-    this.#img.addEventListener('contextmenu', (e) => {
-      if (this.isPanning) {
-        e.preventDefault();
+    // New batches go after the favorites section, which always leads the tray
+    if (newestToOldest) {
+      this.batches.unshift(this.currentBatch);
+      this.favoritesSection.el.after(el);
+    } else {
+      this.batches.push(this.currentBatch);
+      this.imageList.appendChild(el);
+    }
+
+    this.updateBatchVisibility(this.currentBatch);
+    this.batchObserver.observe(el);
+    this.currentBatchIdentifier = newBatchIdentifier;
+  }
+
+  addImagesToBatch(detail, filterEnabled, newestToOldest) {
+    getOutputMedia(detail.output).forEach((src) => {
+      const node = app.graph.getNodeById(parseInt(detail.node, 10));
+      if (
+        !filterEnabled ||
+        (node?.type &&
+          ELIGIBLE_NODES.includes(node.type) &&
+          this.selectedNodeIds.includes(parseInt(detail.node, 10))) ||
+        (!ELIGIBLE_NODES.includes(node?.type) &&
+          this.selectedNodeIds.includes(-1))
+      ) {
+        this.addImageToBatch({ ...src, nodeId: detail.node }, this.currentBatch, newestToOldest);
       }
     });
   }
 
-  #onPointerLockChange() {
-    // Handle pointer lock changes (used for panning)
-    if (document.pointerLockElement === this.#img) {
-      this.isPanning = true;
-      this.mouseMovedDuringPan = false;
-      this.#img.style.cursor = 'grabbing';
+  getLabels(url) {
+    const labels = this.imageLabels[url];
+    return { rating: labels?.rating || 0, tags: labels?.tags || [] };
+  }
 
-      // Add event listener for mouse movement during pointer lock
-      document.addEventListener('mousemove', this.panHandler);
+  updateLabels(url, changes) {
+    // Images with neither a rating nor tags are dropped from the saved labels
+    const labels = { ...this.getLabels(url), ...changes };
+    if (labels.rating > 0 || labels.tags.length > 0) {
+      this.imageLabels[url] = labels;
     } else {
-      this.isPanning = false;
-      this.#img.style.cursor = this.mouseMovedDuringPan ? 'grabbing' : 'grab';
+      delete this.imageLabels[url];
+    }
+    storage.setJSONVal("ImageLabels", this.imageLabels);
+    if (url === this.lightbox.getCurrentImage()) {
+      this.heldImageUrl = url; // Stays in the lightbox even if it no longer matches the filter
+    }
+    this.applyLabelFilter();
+    this.lightbox.refreshLabels();
+  }
 
-      // Remove the mousemove listener
-      document.removeEventListener('mousemove', this.panHandler);
+  releaseHeldImage(url) {
+    // Let the held image drop out of the lightbox once it moves to another image or closes
+    if (!this.heldImageUrl || url === this.heldImageUrl) return;
+    this.heldImageUrl = null;
+    this.updateLightboxIfOpen();
+  }
+
+  pruneLabels() {
+    // Forget the labels of images that are no longer in the feed or the favorites
+    if (!this.canPruneLabels) return;
+    const urls = Object.keys(this.imageLabels).filter((url) => !this.itemsByUrl.has(url));
+    if (urls.length === 0) return;
+    urls.forEach((url) => delete this.imageLabels[url]);
+    storage.setJSONVal("ImageLabels", this.imageLabels);
+  }
+
+  editTags(url) {
+    if (!url) return;
+    const text = window.prompt("Tags, separated by commas:", this.getLabels(url).tags.join(", "));
+    if (text === null) return;
+    this.updateLabels(url, { tags: parseTags(text) });
+  }
+
+  rateImage(url) {
+    const text = window.prompt(`Rating from 1 to ${MAX_RATING}, or 0 to clear:`, String(this.getLabels(url).rating));
+    if (text === null) return;
+    const rating = Number.parseInt(text, 10);
+    if (Number.isNaN(rating) || rating < 0 || rating > MAX_RATING) {
+      showToast(`Ratings go from 0 to ${MAX_RATING}.`);
+      return;
     }
+    this.updateLabels(url, { rating });
   }
 
-  #onPointerLockError() {
-    console.error('Pointer Lock failed.');
+  isLabelFilterActive() {
+    return this.labelFilter.minRating > 0 || this.labelFilter.tags.length > 0;
   }
 
-  forceReflow(element) {
-    // Reading a property that requires layout will force a reflow
-    return element.offsetHeight;
+  matchesLabelFilter(item) {
+    const { minRating, tags } = this.labelFilter;
+    const labels = this.getLabels(item.url);
+    if (labels.rating < minRating) return false;
+    const imageTags = new Set(labels.tags.map((tag) => tag.toLowerCase()));
+    return tags.every((tag) => imageTags.has(tag.toLowerCase()));
   }
 
-  #triggerArrowClickEffect(arrowElement) {
-    // Trigger a visual effect on arrow click
-    const innerArrow = arrowElement.querySelector(".arrow-inner");
+  setLabelFilter(changes) {
+    this.labelFilter = { ...this.labelFilter, ...changes };
+    storage.setJSONVal("LabelFilter", this.labelFilter);
+    this.applyLabelFilter();
+  }
 
-    if (innerArrow) {
-      innerArrow.classList.remove("arrow-click-effect");
-      // Force a reflow by getting and setting a layout property
-      this.forceReflow(innerArrow);
-      innerArrow.classList.add("arrow-click-effect");
+  applyLabelFilter() {
+    // Hide the thumbnails, and whole batches, that the rating and tag filter leaves out
+    this.imageList.querySelectorAll(".image-container").forEach((imageElement) => {
+      this.updateLabelMarkers(imageElement, this.thumbnailItems.get(imageElement));
+    });
+    [this.favoritesSection, ...this.batches].forEach((batch) => this.updateBatchVisibility(batch));
+    this.updateBatchSizes();
+    this.updateLightboxIfOpen();
+  }
 
-      innerArrow.addEventListener(
-        "animationend",
-        () => {
-          innerArrow.classList.remove("arrow-click-effect");
-        },
-        { once: true }
-      );
-    }
+  updateBatchVisibility(batch) {
+    const isFilteredOut = this.isLabelFilterActive() && !batch.items.some((item) => this.matchesLabelFilter(item));
+    batch.el.classList.toggle("image-batch-container--filtered", isFilteredOut);
   }
 
-  #handleKeyDown(event) {
-    // Handle key presses for navigation and closing
-    if (this.#el.style.display === "none") return;
-    switch (event.key) {
-      case "ArrowLeft":
-      case "a":
-        this.#update(-1);
-        break;
-      case "ArrowRight":
-      case "d":
-        this.#update(1);
-        break;
-      case "Escape":
-        this.close();
-        break;
-    }
+  updateLabelMarkers(imageElement, item) {
+    const { rating, tags } = this.getLabels(item.url);
+    const badge = imageElement.querySelector(".image-container__labels");
+    badge.textContent = ["★".repeat(rating), tags.join(", ")].filter(Boolean).join(" ");
+    badge.title = tags.join(", ");
+    badge.style.display = badge.textContent ? "block" : "none";
+    imageElement.classList.toggle("image-container--filtered", !this.matchesLabelFilter(item));
   }
 
-  show(images, index = 0) {
-    // Show the lightbox with the specified images and starting index
-    this.#images = images;
-    this.#index = index;
-    this.#updateArrowStyles();
-    this.#update(0);
-    this.#el.style.display = "flex";
-    setTimeout(() => (this.#el.style.opacity = 1), 0);
+  getFilteredItems() {
+    return this.getAllItems().filter((item) => item.url === this.heldImageUrl || this.matchesLabelFilter(item));
   }
 
-  close() {
-    // Close the lightbox with a fade-out effect
-    this.#el.style.opacity = 0;
-    setTimeout(() => {
-      this.#el.style.display = "none";
-    }, 300); // Match the transition duration
+  createBatchZipButton(batch) {
+    return createElement("button", {
+      className: "image-batch-zip",
+      textContent: "📦",
+      title: "Download batch as ZIP",
+      onclick: (e) => {
+        e.stopPropagation();
+        this.downloadBatchAsZip(batch);
+      },
+    });
   }
 
-  initializeImages(images) {
-    // Initialize the image list
-    this.#images = images;
+  createItem(src) {
+    // Build a feed item from an output file descriptor or a saved record
+    const baseUrl = `./view?filename=${encodeURIComponent(src.filename)}&type=${src.type}&subfolder=${encodeURIComponent(src.subfolder)}`;
+    const timestamp = src.timestamp ?? Date.now();
+    return {
+      url: new URL(baseUrl, window.location.origin).href,
+      src: `${baseUrl}&t=${timestamp}`, // Timestamped, as previews reuse their filenames
+      filename: src.filename,
+      subfolder: src.subfolder,
+      type: src.type,
+      promptId: src.promptId,
+      nodeId: src.nodeId,
+      timestamp,
+      sequence: this.itemSequence++,
+      kind: src.kind || "image",
+      frameRate: src.frame_rate,
+      aspectRatio: src.aspectRatio ?? null, // Known once the thumbnail has been decoded
+      poster: null, // Small still frame of videos and animations, used by the Lightbox filmstrip
+    };
   }
 
-  async #update(shift, resetZoomPan = true) {
-    // Ensure images are available
-    if (!Array.isArray(this.#images) || this.#images.length === 0) {
-      console.debug("Initialising Lightbox - No images available.");
-      return;
-    }
+  toItemRecord(item) {
+    // The fields of an item that are saved across page reloads
+    return {
+      filename: item.filename,
+      subfolder: item.subfolder,
+      type: item.type,
+      kind: item.kind,
+      frame_rate: item.frameRate,
+      promptId: item.promptId,
+      nodeId: item.nodeId,
+      timestamp: item.timestamp,
+      aspectRatio: item.aspectRatio,
+    };
+  }
 
-    let newIndex = this.#index + shift;
+  addImageToBatch(src, batch, newestToOldest) {
+    const item = this.createItem({ ...src, promptId: batch.id });
+
+    // The first batch keeps its closing bar last, so its images are added in order
+    const position = newestToOldest && !batch.endBar ? 0 : batch.items.length;
+    batch.items.splice(position, 0, item);
+    this.itemsByUrl.set(item.url, item);
+    this.updateBatchHeader(batch);
+
+    if (batch.mounted) {
+      const imageElement = this.createImageElement(item);
+      const nextElement = batch.el.querySelectorAll(".image-container")[position];
+      if (nextElement) {
+        nextElement.before(imageElement);
+      } else if (batch.endBar) {
+        batch.endBar.before(imageElement);
+      } else {
+        batch.el.appendChild(imageElement);
+      }
+    } else {
+      this.updateBatchSize(batch);
+    }
 
-    // Implement wrapping behavior for navigation
-    if (newIndex < 0) {
-      newIndex = this.#images.length - 1; // Wrap to the last image
-    } else if (newIndex >= this.#images.length) {
-      newIndex = 0; // Wrap to the first image
+    this.updateBatchVisibility(batch);
+    this.markBatchDirty(batch);
+    if (!this.isAddingInBulk) {
+      this.updateLightboxIfOpen();
     }
+  }
 
-    // Check if we are updating the same image without needing to reset
-    const isSameImage = newIndex === this.#index;
+  async restoreFeed() {
+    // Rebuild the batches saved by a previous session, oldest first, in the current sort order.
+    // Resolves to false if the saved feed could not be read.
+    const records = await feedStore.getBatches();
+    if (!records) return false;
+    if (records.length === 0) return true;
 
-    this.#index = newIndex;
+    const maxImageBatches = Number(storage.getVal("MaxFeedLength", 25));
+    records.sort((a, b) => a.timestamp - b.timestamp);
+    const expired = records.splice(0, Math.max(records.length - maxImageBatches, 0));
+    expired.forEach((record) => feedStore.deleteBatch(record.id));
 
-    // Update arrow styles based on the current index
-    this.#updateArrowStyles();
+    const newestToOldest = storage.getVal("NewestFirst", "newest") === "newest";
+    this.isAddingInBulk = true;
+    records.forEach((record) => {
+      this.createNewBatch(newestToOldest, record.id);
+      this.currentBatch.timestamp = record.timestamp;
+      record.items.forEach((src) => this.addImageToBatch(src, this.currentBatch, newestToOldest));
+    });
+    this.isAddingInBulk = false;
+    this.updateLightboxIfOpen();
 
-    // If we're not resetting zoom/pan and the image hasn't changed, skip reloading
-    if (isSameImage && !resetZoomPan) {
-      // Only update pan bounds and cursor without reloading the image
-      this.#updatePanBounds();
-      this.#updateImageTransform();
-      this.#updateCursor();
-      return;
+    // Everything restored is already saved
+    this.dirtyBatches.clear();
+    return true;
+  }
+
+  async fetchHistory(maxItems) {
+    // Newer frontends wrap the endpoint in api.getHistory; older ones only expose fetchApi
+    if (typeof api.getHistory === "function") {
+      const { History } = await api.getHistory(maxItems);
+      return History;
     }
+    const response = await api.fetchApi(`/history?max_items=${maxItems}`);
+    return Object.values(await response.json());
+  }
 
-    const img = this.#images[this.#index];
+  getHistoryTimestamp(entry) {
+    // The server records when each prompt started in its status messages
+    const startMessage = entry.status?.messages?.find(([type]) => type === "execution_start");
+    return startMessage?.[1]?.timestamp ?? null;
+  }
 
-    // Ensure the image source is valid
-    if (!img) {
-      console.error(`Image at index ${this.#index} is undefined or invalid.`);
-      this.#spinner.style.display = "none";
-      this.#img.alt = "Image not available";
+  async loadRecentHistory() {
+    // Fill the tray with the server's recent outputs, as if they had just been executed
+    const maxImageBatches = Number(storage.getVal("MaxFeedLength", 25));
+
+    // Skip prompts the restored feed already shows, anything older than its newest batch,
+    // and anything from before the tray was last cleared. Taken before the fetch, as outputs
+    // executed meanwhile are newer than the history.
+    const knownBatchIds = new Set(this.batches.map((batch) => batch.id));
+    const clearedAt = storage.getJSONVal("ClearedAt", 0);
+    const newestTimestamp = Math.max(clearedAt, ...this.batches.map((batch) => batch.timestamp));
+
+    let history;
+    try {
+      history = await this.fetchHistory(maxImageBatches);
+    } catch (error) {
+      console.error("Error loading history", error);
       return;
     }
 
-    this.#img.style.opacity = 0;
-    this.#spinner.style.display = "block";
+    // Batches executed during the fetch are set aside, so the history goes behind them and
+    // does not take over the batch their prompt is still adding to
+    const liveBatches = this.batches.filter((batch) => !knownBatchIds.has(batch.id));
+    const liveBatchIds = new Set(liveBatches.map((batch) => batch.id));
+    const { currentBatch, currentBatchIdentifier } = this;
+    this.batches = this.batches.filter((batch) => knownBatchIds.has(batch.id));
+    this.currentBatch = null;
+    this.currentBatchIdentifier = null;
+
+    this.isAddingInBulk = true;
     try {
-      await this.#loadImage(img);
-      this.#img.src = img;
-
-      // Await the main image's load event to ensure naturalWidth and naturalHeight are available
-      await new Promise((resolve, reject) => {
-        this.#img.onload = resolve;
-        this.#img.onerror = () => {
-          reject(new Error(`Failed to load image: ${img}`));
-        };
+      history
+        .filter((entry) => entry.prompt && entry.outputs)
+        .sort((a, b) => a.prompt[0] - b.prompt[0]) // Queue number, oldest first
+        .forEach((entry) => {
+          const promptId = entry.prompt[1];
+          const timestamp = this.getHistoryTimestamp(entry);
+          const isOld = timestamp ? timestamp <= newestTimestamp : clearedAt > 0;
+          if (knownBatchIds.has(promptId) || liveBatchIds.has(promptId) || isOld) return;
+
+          Object.entries(entry.outputs).forEach(([node, output]) => {
+            this.handleExecuted({ prompt_id: promptId, node, output });
+          });
+
+          if (timestamp && this.currentBatch?.id === promptId) {
+            this.currentBatch.timestamp = timestamp;
+            this.updateBatchHeader(this.currentBatch);
+          }
+        });
+    } catch (error) {
+      console.error("Error adding history to the tray", error);
+    } finally {
+      this.isAddingInBulk = false;
+      this.restoreLiveBatches(liveBatches);
+      this.currentBatch = currentBatch;
+      this.currentBatchIdentifier = currentBatchIdentifier;
+    }
+    this.checkAndRemoveExtraImageBatches();
+    this.updateLightboxIfOpen();
+  }
+
+  restoreLiveBatches(liveBatches) {
+    // Put the batches set aside during the backfill back at the newest end of the tray
+    if (liveBatches.length === 0) return;
+    if (storage.getVal("NewestFirst", "newest") === "newest") {
+      this.batches.unshift(...liveBatches);
+      this.favoritesSection.el.after(...liveBatches.map((batch) => batch.el));
+    } else {
+      this.batches.push(...liveBatches);
+      this.imageList.append(...liveBatches.map((batch) => batch.el));
+    }
+  }
+
+  markBatchDirty(batch) {
+    this.dirtyBatches.add(batch);
+    this.saveDirtyBatchesDebounced();
+  }
+
+  saveDirtyBatches() {
+    this.dirtyBatches.forEach((batch) => {
+      if (batch === this.favoritesSection) {
+        this.saveFavorites();
+        return;
+      }
+      // Batches removed from the tray since they changed are not saved again
+      if (!this.batches.includes(batch)) return;
+      feedStore.putBatch({
+        id: batch.id,
+        timestamp: batch.timestamp,
+        items: [...batch.items]
+          .sort((a, b) => a.sequence - b.sequence)
+          .map((item) => this.toItemRecord(item)),
       });
+    });
+    this.dirtyBatches.clear();
+  }
 
-      this.originalWidth = this.#img.naturalWidth;
-      this.originalHeight = this.#img.naturalHeight;
+  createFavoritesSection() {
+    // A section at the start of the tray that pruning and Clear leave alone
+    const el = createElement("div", {
+      className: "image-batch-container image-batch-container--favorites",
+    });
+    const header = createElement("div", { className: "image-batch-header" });
+    const startBar = createElement("div", {
+      className: "image-feed-vertical-bar image-feed-vertical-bar--favorites",
+      title: "Favorites",
+    });
+    el.append(header, startBar);
+    this.favoritesSection = { id: "favorites", items: [], el, header, startBar, endBar: null, mounted: true };
+    el.appendChild(this.createBatchZipButton(this.favoritesSection));
+    this.imageList.prepend(el);
+    this.renderFavoritesSection();
+  }
 
-      // Calculate fitScale to make the image as large as possible within the container
-      const containerRect = this.#link.getBoundingClientRect();
-      const containerWidth = containerRect.width;
-      const containerHeight = containerRect.height;
+  renderFavoritesSection() {
+    const { el, startBar, items } = this.favoritesSection;
+    el.querySelectorAll(".image-container").forEach((imageElement) => {
+      this.thumbnailObserver.unobserve(imageElement);
+      imageElement.remove();
+    });
 
-      const widthRatio = containerWidth / this.originalWidth;
-      const heightRatio = containerHeight / this.originalHeight;
-      const fitScale = Math.min(widthRatio, heightRatio); // Allow scaling up and down
+    const fragment = document.createDocumentFragment();
+    items.forEach((item) => fragment.appendChild(this.createImageElement(item)));
+    startBar.after(fragment);
+    el.style.display = items.length > 0 ? "flex" : "none";
+    this.updateBatchHeader(this.favoritesSection);
+    this.updateBatchVisibility(this.favoritesSection);
+  }
 
-      this.#minScale = fitScale;
-      this.#maxScale = 10; // Ensure maxScale remains fixed
+  restoreFavorites() {
+    const records = storage.getJSONVal("FavoriteImages", []);
+    this.favoritesSection.items = records.map((record) => this.createItem(record));
+    this.favoritesSection.items.forEach((item) => this.itemsByUrl.set(item.url, item));
+    this.renderFavoritesSection();
+  }
 
-      if (resetZoomPan) {
-        this.imageScale = this.#minScale;
-        this.panX = 0;
-        this.panY = 0;
-      }
+  saveFavorites() {
+    storage.setJSONVal("FavoriteImages", this.favoritesSection.items.map((item) => this.toItemRecord(item)));
+  }
 
-      this.#img.style.opacity = 1;
-    // Set .lightbox__main size
-    const main = this.#el.querySelector('.lightbox__main');
-    if (main) {
-      main.style.width = '90%';
-      main.style.height = '90%';
-    }
-
-    // Add floppy disk icon to save image
-    if (main && !this.#link.querySelector('.lightbox-save-icon')) {
-      const saveIconWrapper = document.createElement('div');
-      saveIconWrapper.style.position = 'absolute';
-      saveIconWrapper.style.top = '10px';
-      saveIconWrapper.style.right = '10px';
-      saveIconWrapper.style.zIndex = '9999';
-
-      const saveIcon = document.createElement('div');
-      saveIcon.className = 'lightbox-save-icon';
-      saveIcon.textContent = '💾';
-      saveIcon.style.cssText = 'font-size: 26px; color: white; background: rgba(0,0,0,0.5); padding: 6px; border-radius: 6px; cursor: pointer; text-align: center;';
-
-      saveIcon.onclick = () => {
-        const a = document.createElement('a');
-        a.href = this.#img.src;
-        a.download = 'image.png';
-        a.style.display = 'none';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-      };
+  isFavorite(url) {
+    return this.favoritesSection.items.some((item) => item.url === url);
+  }
 
-      saveIconWrapper.appendChild(saveIcon);
-      this.#link.appendChild(saveIconWrapper);
+  toggleFavorite(url) {
+    // Adding a favorite copies the image into the favorites section; removing it leaves its batch as it is
+    const favoriteItems = this.favoritesSection.items;
+    if (this.isFavorite(url)) {
+      const removedFavorites = favoriteItems.filter((item) => item.url === url);
+      this.favoritesSection.items = favoriteItems.filter((item) => item.url !== url);
+      removedFavorites.forEach((item) => this.forgetItem(item));
+      this.pruneLabels();
+    } else {
+      const item = this.itemsByUrl.get(url);
+      if (!item) return;
+      const favoriteItem = this.createItem(this.toItemRecord(item));
+      favoriteItem.poster = item.poster;
+      favoriteItems.push(favoriteItem);
     }
 
-    // Set initial image transform to scale(1)
-    this.#img.style.transform = 'scale(1)';
+    this.saveFavorites();
+    this.renderFavoritesSection();
+    this.updateFavoriteMarkers();
+    this.updateSelectionBar();
+    this.updateLightboxIfOpen();
+    this.lightbox.refreshFavoriteState();
+  }
+
+  updateFavoriteMarkers() {
+    this.imageList.querySelectorAll(".image-container").forEach((imageElement) => {
+      const isFavorite = this.isFavorite(imageElement.dataset.url);
+      imageElement.classList.toggle("image-container--favorite", isFavorite);
+      const star = imageElement.querySelector(".image-container__star");
+      star.textContent = isFavorite ? "★" : "☆";
+      star.title = isFavorite ? "Remove from favorites" : "Add to favorites";
+    });
+  }
 
-    } catch (err) {
-      console.error("Failed to load image:", img, err);
-      this.#img.alt = "Failed to load image";
-    } finally {
-      this.#spinner.style.display = "none";
+  forgetItem(item) {
+    // Point the URL lookup at another copy of the image, such as its favorite copy, if there is one
+    if (this.itemsByUrl.get(item.url) === item) {
+      this.itemsByUrl.delete(item.url);
+      const otherCopy = this.getAllItems().find((candidate) => candidate !== item && candidate.url === item.url);
+      if (otherCopy) {
+        this.itemsByUrl.set(item.url, otherCopy);
+      }
     }
+    this.selectedItems.delete(item);
+  }
 
-    // Use requestAnimationFrame to ensure styles are applied before calculating pan bounds
-    requestAnimationFrame(() => {
-      this.#updatePanBounds();
-      this.#updateImageTransform();
-      this.#updateCursor();
+  onBatchIntersection(entries) {
+    entries.forEach(({ isIntersecting, target }) => {
+      const batch = this.batches.find((candidate) => candidate.el === target);
+      if (!batch) return;
+      if (isIntersecting) {
+        this.mountBatch(batch);
+      } else {
+        this.unmountBatch(batch);
+      }
     });
   }
 
-  #updateArrowStyles() {
-    const totalImages = this.#images.length;
-    const isAtFirstImage = this.#index === 0;
-    const isAtLastImage = this.#index === totalImages - 1;
+  mountBatch(batch) {
+    // Create the image elements of a batch that has scrolled near the view
+    if (batch.mounted) return;
+    batch.mounted = true;
 
-    // Handle arrow visibility and disabled state
-    if (totalImages <= 1) {
-      this.#prev.classList.add("disabled");
-      this.#next.classList.add("disabled");
-      this.#prev.classList.remove("lightbox__prev--wrap");
-      this.#next.classList.remove("lightbox__next--wrap");
+    const fragment = document.createDocumentFragment();
+    batch.items.forEach((item) => fragment.appendChild(this.createImageElement(item)));
+    batch.startBar.after(fragment);
+    batch.el.style.width = "";
+    batch.el.style.height = "";
+  }
+
+  unmountBatch(batch) {
+    // Drop the image elements of a batch that is far from the view, keeping its size
+    if (!batch.mounted) return;
+    batch.mounted = false;
+
+    if (this.isGalleryLayout() || this.isVerticalDock()) {
+      batch.el.style.height = `${batch.el.offsetHeight}px`;
     } else {
-      // Multiple images
-      this.#prev.classList.remove("disabled");
-      this.#next.classList.remove("disabled");
+      batch.el.style.width = `${batch.el.offsetWidth}px`;
+    }
+    batch.el.querySelectorAll(".image-container").forEach((imageElement) => {
+      this.thumbnailObserver.unobserve(imageElement);
+      imageElement.remove();
+    });
+  }
+
+  updateBatchSize(batch) {
+    // Estimate the size of an unmounted batch from its images' aspect ratios
+    const items = batch.items.filter((item) => this.matchesLabelFilter(item));
+    const barCount = batch.endBar ? 2 : 1;
+    let property = "height";
+    let size;
+
+    if (this.isColumnLayout()) {
+      // The column stacks the images at the tray's width
+      const imageWidth = this.imageList.clientWidth;
+      const imagesHeight = items.reduce((height, item) => height + imageWidth / (item.aspectRatio || 1), 0);
+      size = barCount * batch.startBar.offsetHeight + imagesHeight;
+    } else if (this.isGalleryLayout()) {
+      // The gallery wraps the images into rows under the header, each row following a gap
+      const rowHeights = this.getGalleryRowHeights(items);
+      const rowsHeight = rowHeights.reduce((height, rowHeight) => height + rowHeight + GALLERY_GAP, 0);
+      size = batch.header.offsetHeight + rowsHeight + GALLERY_BOTTOM_PADDING;
+    } else {
+      const imageHeight = this.getThumbnailHeight();
+      const imagesWidth = items.reduce((width, item) => width + (item.aspectRatio || 1) * imageHeight, 0);
+      property = "width";
+      size = barCount * batch.startBar.offsetWidth + imagesWidth;
+    }
 
-      // Handle wrap classes for the arrows
-      this.#prev.classList.toggle("lightbox__prev--wrap", isAtFirstImage);
-      this.#next.classList.toggle("lightbox__next--wrap", isAtLastImage);
+    const value = `${Math.round(size)}px`;
+    if (batch.el.style[property] !== value) {
+      batch.el.style[property] = value;
     }
   }
 
-  #loadImage(url) {
-    // Load an image and return a promise that resolves on success
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = resolve;
-      img.onerror = reject;
-      img.src = url;
+  getGalleryRowHeights(items) {
+    // Wrap the images into rows the way the gallery's flexbox does: each full row grows to the
+    // tray width, while the last one keeps the thumbnail height
+    const imageHeight = this.getThumbnailHeight();
+    const rowWidth = Math.max(this.imageList.clientWidth - 2 * GALLERY_SIDE_PADDING, 1);
+    const getRowHeight = (ratio, count) => (rowWidth - (count - 1) * GALLERY_GAP) / ratio;
+    const rowHeights = [];
+    let rowRatio = 0;
+    let rowCount = 0;
+
+    items.forEach((item) => {
+      const aspectRatio = item.aspectRatio || 1;
+      if (rowCount > 0 && (rowRatio + aspectRatio) * imageHeight + rowCount * GALLERY_GAP > rowWidth) {
+        rowHeights.push(getRowHeight(rowRatio, rowCount));
+        rowRatio = 0;
+        rowCount = 0;
+      }
+      rowRatio += aspectRatio;
+      rowCount++;
     });
-  }
 
-  isOpen() {
-    // Check if the lightbox is currently open
-    return this.#el.style.display === "flex";
+    if (rowCount > 0) {
+      rowHeights.push(Math.min(imageHeight, getRowHeight(rowRatio, rowCount)));
+    }
+    return rowHeights;
   }
 
-  getCurrentIndex() {
-    // Get the current image index
-    return this.#index;
+  updateBatchSizes() {
+    // The tray size decides the size of each image, so refresh the unmounted batches
+    this.batches.filter((batch) => !batch.mounted).forEach((batch) => this.updateBatchSize(batch));
   }
 
-  handleImageListChange(newImageArray) {
-    // Update the image list without resetting zoom and pan
-    this.updateImageList(newImageArray, false);
+  resetBatchSizes() {
+    // Sizes frozen or estimated for another layout or dock no longer apply
+    this.batches.filter((batch) => !batch.mounted).forEach((batch) => {
+      batch.el.style.width = "";
+      batch.el.style.height = "";
+    });
+    this.updateBatchSizes();
   }
 
-  updateImageList(newImages, resetZoomPan = true) {
-    // Update the image list and optionally reset zoom/pan
-    const currentImage = this.#images[this.#index];
-    this.#images = newImages;
-
-    const newIndex = this.#images.indexOf(currentImage);
-    if (newIndex !== -1) {
-      this.#index = newIndex;
-    } else {
-      this.#index = Math.min(this.#index, this.#images.length - 1);
+  getThumbnailHeight() {
+    // Thumbnails fill the height of the strip, or one row of the gallery
+    if (this.isGalleryLayout()) {
+      return parseInt(getComputedStyle(this.imageFeed).getPropertyValue("--tb-feed-height")) || 200;
     }
+    return this.imageList.clientHeight;
+  }
 
-    this.#updateArrowStyles();
-    this.#update(0, resetZoomPan);
+  updateBatchHeader(batch) {
+    // The gallery shows each batch under its time and size
+    const title = batch === this.favoritesSection ? "⭐ Favorites" : new Date(batch.timestamp).toLocaleString();
+    const count = batch.items.length;
+    batch.header.textContent = `${title} · ${count} ${count === 1 ? "image" : "images"}`;
   }
 
-  updateCurrentImage(newIndex) {
-    // Update the currently displayed image to the specified index
-    if (newIndex >= 0 && newIndex < this.#images.length) {
-      this.#index = newIndex;
-      this.#update(0); // Update without moving
+  removeBatch(batch) {
+    feedStore.deleteBatch(batch.id);
+    this.batchObserver.unobserve(batch.el);
+    this.unmountBatch(batch);
+    batch.el.remove();
+    batch.items.forEach((item) => this.forgetItem(item));
+    this.updateSelectionBar();
+    if (this.currentBatch === batch) {
+      this.currentBatch = null;
+      this.currentBatchIdentifier = null;
     }
   }
-}
 
-const PREFIX = "simpleTray.imageFeed.";
-const ELIGIBLE_NODES = [
-  "SaveImage",
-  "PreviewImage",
-  "KSampler",
-  "KSampler (Efficient)",
-  "KSampler Adv. (Efficient)",
-  "KSampler SDXL (Eff.)",
-];
+  onThumbnailIntersection(entries) {
+    entries.forEach(({ isIntersecting, target }) => {
+      if (!isIntersecting) return;
+      this.thumbnailObserver.unobserve(target);
+      this.drawThumbnail(target, this.thumbnailItems.get(target));
+    });
+  }
 
-const storage = {
-  getVal: (key, defaultValue) => {
-    const value = localStorage.getItem(PREFIX + key);
-    return value === null ? defaultValue : value.replace(/^"(.*)"$/g, "$1");
-  },
-  setVal: (key, value) => {
-    localStorage.setItem(
-      PREFIX + key,
-      typeof value === "boolean" ? value.toString() : value
-    );
-  },
-  getJSONVal: (key, defaultValue) => {
-    try {
-      const value = localStorage.getItem(PREFIX + key);
-      return value ? JSON.parse(value) : defaultValue;
-    } catch (error) {
-      console.error(`Error retrieving ${key} from localStorage`, error);
-      return defaultValue;
-    }
-  },
-  setJSONVal: (key, value) => {
+  async drawThumbnail(imageElement, item) {
+    // Decode a downscaled copy and draw it, so the full-size image is never kept in the tray
     try {
-      localStorage.setItem(PREFIX + key, JSON.stringify(value));
+      const bitmap = await this.getThumbnail(item);
+      if (item.aspectRatio === null) {
+        // Save the aspect ratio so a restored feed lays out before its thumbnails load
+        const batch = this.getBatchOfItem(item);
+        if (batch) this.markBatchDirty(batch);
+      }
+      item.aspectRatio = bitmap.width / bitmap.height;
+      imageElement.style.setProperty("--tb-aspect-ratio", item.aspectRatio);
+
+      const canvas = imageElement.firstChild;
+      if (imageElement.isConnected) {
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext("2d").drawImage(bitmap, 0, 0);
+        if (item.kind !== "image" && !item.poster) {
+          item.poster = canvas.toDataURL("image/jpeg", 0.85);
+        }
+      }
     } catch (error) {
-      console.error("Error saving to localStorage", error);
+      console.error("Error loading thumbnail", error);
+      imageElement.classList.add("image-container--failed");
     }
-  },
-};
+  }
 
-const createElement = (type, options = {}) => {
-  const element = document.createElement(type);
-  Object.entries(options).forEach(([key, value]) => {
-    if (key === "style") {
-      Object.assign(element.style, value);
-    } else if (key === "classList") {
-      element.classList.add(...value);
-    } else {
-      element[key] = value;
+  getThumbnail(item) {
+    // Keyed by the decoded size and the timestamped source, so a resized tray or a reused preview
+    // filename is decoded again. The decode itself is cached, so copies of an image share it.
+    const options = this.getThumbnailOptions();
+    const key = `${options.resizeWidth ?? 0}x${options.resizeHeight ?? 0} ${item.src}`;
+    const cached = this.thumbnailCache.get(key);
+    if (cached) {
+      // Mark as most recently used
+      this.thumbnailCache.delete(key);
+      this.thumbnailCache.set(key, cached);
+      return cached;
     }
-  });
-  return element;
-};
-
-class ImageFeed {
-  constructor() {
-    this.visible = storage.getJSONVal("Visible", true);
-    this.imageFeed = null;
-    this.imageList = null;
-    this.buttonPanel = null;
-    this.currentBatchIdentifier = null;
-    this.currentBatchContainer = null;
-    this.selectedNodeIds = storage.getJSONVal("NodeFilter", []);
-    this.imageNodes = [];
-    this.sortOrder = storage.getJSONVal("SortOrder", "ID");
-    this.lightbox = new Lightbox(this.getAllImages.bind(this));
-    this.lightbox.registerForUpdates(this.updateLightboxIfOpen.bind(this));
-    this.observer = null;
 
-    setTimeout(() => {
-      const initialImages = this.getAllImages();
-      this.lightbox.initializeImages(initialImages);
-    }, 0);
+    const promise = this.createThumbnail(item, options);
+    this.thumbnailCache.set(key, promise);
+    promise.catch(() => {
+      // Let a failed decode be tried again
+      if (this.thumbnailCache.get(key) === promise) {
+        this.thumbnailCache.delete(key);
+      }
+    });
+    if (this.thumbnailCache.size > THUMBNAIL_CACHE_SIZE) {
+      const [oldestKey, oldestPromise] = this.thumbnailCache.entries().next().value;
+      this.thumbnailCache.delete(oldestKey);
+      this.closeThumbnail(oldestPromise);
+    }
+    return promise;
   }
 
-  async setup() {
-    this.createMainElements();
-    this.createButtons();
-    this.setupEventListeners();
-    this.updateControlPositions(storage.getJSONVal("Location", "bottom"));
-    this.adjustImageTray();
-    this.waitForSideToolbar();
-    this.setupSettings();
+  closeThumbnail(promise) {
+    // Callers already waiting on the decode draw it before it is closed
+    promise.then(
+      (bitmap) => bitmap.close(),
+      () => {}
+    );
+  }
 
-    this.changeFeedVisibility(this.visible);
+  clearThumbnailCache() {
+    this.thumbnailCache.forEach((promise) => this.closeThumbnail(promise));
+    this.thumbnailCache.clear();
   }
 
-  destroy() {
-    api.removeEventListener("execution_start", this.onExecutionStart);
-    api.removeEventListener("executed", this.onExecuted);
-    window.removeEventListener("resize", this.adjustImageTrayDebounced);
+  getThumbnailOptions() {
+    // Decode at the thumbnail height in device pixels, or at the column's width when docked to a side
+    const isColumn = this.isColumnLayout();
+    const size = Math.round(
+      Math.max(isColumn ? this.imageList.clientWidth : this.getThumbnailHeight(), THUMBNAIL_MIN_HEIGHT) *
+        window.devicePixelRatio
+    );
+    return isColumn
+      ? { resizeWidth: size, resizeQuality: "medium" }
+      : { resizeHeight: size, resizeQuality: "medium" };
+  }
 
-    if (this.observer) {
-      this.observer.disconnect();
-      this.observer = null;
+  async createThumbnail(item, options) {
+    if (item.kind === "video") {
+      const video = await this.loadVideoFrame(item.src);
+      try {
+        return await createImageBitmap(video, options);
+      } finally {
+        video.removeAttribute("src");
+        video.load();
+      }
     }
 
-    if (this.lightbox) {
-      this.lightbox.destroy();
+    // Animated images decode to their first frame
+    const response = await fetch(item.src);
+    if (!response.ok) {
+      throw new Error(`Failed to load image at ${item.src}`);
     }
+    return createImageBitmap(await response.blob(), options);
   }
 
-  createMainElements() {
-    this.imageFeed = $el("div", {
-      className: "tb-image-feed",
-      parent: document.body,
+  loadVideoFrame(src) {
+    // Load a video and resolve once a frame near the start can be drawn
+    return new Promise((resolve, reject) => {
+      const video = document.createElement("video");
+      video.muted = true;
+      video.preload = "auto";
+      video.onloadeddata = () => {
+        // Seek slightly in, as the very first frame is often black
+        video.currentTime = Math.min(0.1, (video.duration || 0) / 2);
+      };
+      video.onseeked = () => resolve(video);
+      video.onerror = () => reject(new Error(`Failed to load video at ${src}`));
+      video.src = src;
     });
-    this.imageList = $el("div", { className: "tb-image-feed-list" });
-    this.buttonPanel = $el("div", { className: "tb-image-feed-btn-group" });
-    this.imageFeed.append(this.imageList, this.buttonPanel);
   }
 
-  createButtons() {
-    const clearButton = this.createButton("Clear", () => this.clearImageFeed());
-    const nodeFilterButton = this.createButton("Node Filter", () =>
-      this.showNodeFilter()
+  createImageElement(item) {
+    const imageElement = createElement("div", { className: "image-container" });
+    imageElement.dataset.url = item.url;
+    imageElement.style.setProperty("--tb-aspect-ratio", item.aspectRatio || 1); // Sizes the gallery grid
+    if (item.kind !== "image") {
+      imageElement.classList.add("image-container--animated");
+    }
+    imageElement.classList.toggle(
+      "image-container--compare",
+      this.lightbox.getCompareImages().includes(item.url)
     );
-    this.buttonPanel.append(nodeFilterButton, clearButton);
-  }
-
-  createButton(text, onClick) {
-    return $el("button.tb-image-feed-btn", {
-      textContent: text,
-      onclick: onClick,
+    imageElement.classList.toggle("image-container--selected", this.selectedItems.has(item));
+    const isFavorite = this.isFavorite(item.url);
+    imageElement.classList.toggle("image-container--favorite", isFavorite);
+
+    // Until the thumbnail is drawn, the empty canvas keeps the image's known aspect ratio
+    const canvas = createElement("canvas", {
+      className: "image-container__thumb",
+      width: Math.round((item.aspectRatio || 1) * PLACEHOLDER_HEIGHT),
+      height: PLACEHOLDER_HEIGHT,
     });
-  }
+    canvas.onclick = (e) => this.handleImageClick(e, item);
+    canvas.oncontextmenu = (e) => this.showImageContextMenu(e, item);
+    imageElement.appendChild(canvas);
+
+    const star = createElement("button", {
+      className: "image-container__star",
+      textContent: isFavorite ? "★" : "☆",
+      title: isFavorite ? "Remove from favorites" : "Add to favorites",
+      onclick: (e) => {
+        e.stopPropagation();
+        this.toggleFavorite(item.url);
+      },
+    });
+    imageElement.appendChild(star);
 
-  setupEventListeners() {
-    api.addEventListener("execution_start", this.onExecutionStart.bind(this));
-    api.addEventListener("executed", this.onExecuted.bind(this));
-    this.adjustImageTrayDebounced = debounce(() => this.adjustImageTray(), 200);
-    window.addEventListener("resize", this.adjustImageTrayDebounced);
+    imageElement.appendChild(createElement("div", { className: "image-container__labels" }));
+    this.updateLabelMarkers(imageElement, item);
+
+    this.thumbnailItems.set(imageElement, item);
+    this.thumbnailObserver.observe(imageElement);
+    return imageElement;
   }
 
-  forceReflow(element) {
-    return element.offsetHeight;
+  getImageContextMenuItems(item) {
+    const absoluteBaseUrl = item.url;
+    const isPinned = this.lightbox.getCompareImages().includes(absoluteBaseUrl);
+    const batch = this.getBatchOfItem(item);
+    return [
+      {
+        label: this.isFavorite(absoluteBaseUrl) ? "Remove from favorites" : "Add to favorites",
+        action: () => this.toggleFavorite(absoluteBaseUrl),
+      },
+      {
+        label: "Rate…",
+        action: () => this.rateImage(absoluteBaseUrl),
+      },
+      {
+        label: "Edit tags…",
+        action: () => this.editTags(absoluteBaseUrl),
+      },
+      {
+        label: "Select all in batch",
+        action: () => this.setSelection(new Set([...this.selectedItems, ...(batch?.items || [])])),
+      },
+      {
+        label: "Download batch as ZIP",
+        action: () => this.downloadBatchAsZip(batch),
+      },
+      {
+        label: isPinned ? "Unpin from comparison" : "Pin for comparison",
+        action: () => this.lightbox.toggleCompareImage(absoluteBaseUrl),
+      },
+      {
+        label: "Load workflow",
+        action: () => this.lightbox.loadWorkflowFromImage(absoluteBaseUrl),
+      },
+      {
+        label: "Copy image",
+        action: () => copyImageToClipboard(absoluteBaseUrl),
+      },
+      {
+        label: "Copy link",
+        action: () => copyTextToClipboard(absoluteBaseUrl, "Link copied to clipboard"),
+      },
+    ];
   }
 
-  getCurrentState() {
-    return {
-      images: this.getAllImages(),
-      currentIndex: this.lightbox ? this.lightbox.getCurrentIndex() : 0,
+  showImageContextMenu(e, item) {
+    e.preventDefault();
+    this.closeContextMenu();
+
+    const menu = createElement("div", { className: "tb-context-menu" });
+
+    this.getImageContextMenuItems(item).forEach(({ label, action }) => {
+      const item = createElement("button", {
+        className: "tb-context-menu-item",
+        textContent: label,
+        onclick: () => {
+          this.closeContextMenu();
+          action();
+        },
+      });
+      menu.appendChild(item);
+    });
+
+    (document.fullscreenElement ?? document.body).appendChild(menu);
+
+    // Keep the menu inside the viewport
+    const menuRect = menu.getBoundingClientRect();
+    menu.style.left = `${Math.min(e.clientX, window.innerWidth - menuRect.width - 4)}px`;
+    menu.style.top = `${Math.min(e.clientY, window.innerHeight - menuRect.height - 4)}px`;
+
+    this.contextMenu = menu;
+    this.closeContextMenuHandler = (event) => {
+      if (event.type === "keydown" && event.key !== "Escape") return;
+      if (event.type === "pointerdown" && menu.contains(event.target)) return;
+      this.closeContextMenu();
     };
+    document.addEventListener("pointerdown", this.closeContextMenuHandler, true);
+    document.addEventListener("keydown", this.closeContextMenuHandler, true);
   }
 
-  onExecutionStart({ detail }) {
-    const filterEnabled = storage.getJSONVal("FilterEnabled", false);
-    if (filterEnabled && (!this.selectedNodeIds || this.selectedNodeIds.length === 0)) {
-      storage.setJSONVal("FilterEnabled", false);
-    }
+  closeContextMenu() {
+    if (!this.contextMenu) return;
+    this.contextMenu.remove();
+    this.contextMenu = null;
+    document.removeEventListener("pointerdown", this.closeContextMenuHandler, true);
+    document.removeEventListener("keydown", this.closeContextMenuHandler, true);
   }
 
-  onExecuted({ detail }) {
-    if (!this.visible || !detail?.output?.images) {
+  handleImageClick(e, item) {
+    e.preventDefault();
+
+    // Alt-click pins the image for side-by-side comparison instead of opening it
+    if (e.altKey) {
+      this.lightbox.toggleCompareImage(item.url);
       return;
     }
-    this.handleExecuted(detail);
-  }
 
-  updateLightboxIfOpen() {
-    this.forceReflow(this.imageFeed);
-    const currentImages = this.getAllImages();
-    this.lightbox.updateImageList(currentImages);
-    if (this.lightbox.isOpen()) {
-      this.lightbox.handleImageListChange(currentImages);
+    // Ctrl-click toggles the image in the selection, Shift-click selects a range
+    if (e.ctrlKey || e.metaKey) {
+      this.toggleSelected(item);
+      return;
+    }
+    if (e.shiftKey) {
+      this.selectRange(item);
+      return;
     }
-  }
-
-  handleExecuted(detail) {
-    if (!this.visible || !detail?.output?.images) return;
 
-    const newestToOldest = storage.getVal("NewestFirst", "newest") === "newest";
-    const filterEnabled = storage.getJSONVal("FilterEnabled", false);
-    const newBatchIdentifier = detail.prompt_id;
+    this.lightboxItems = null;
 
-    if (detail.node?.includes(":")) {
-      const n = app.graph.getNodeById(detail.node.split(":")[0]);
-      if (n?.getInnerNodes) return;
+    // The lightbox lists each URL once, so both copies of a favorite open the same entry
+    const state = this.getCurrentState();
+    const imageIndex = state.images.indexOf(item.url);
+    if (imageIndex > -1) {
+      this.lightbox.show(state.images, imageIndex);
+    } else {
+      console.error("Clicked image not found in the list. Available images:", state.images);
+      console.error("Clicked image URL:", item.url);
+      if (state.images.length > 0) {
+        this.lightbox.show(state.images, 0);
+      }
     }
+  }
 
-    const isNewBatch = newBatchIdentifier !== this.currentBatchIdentifier;
+  getAllItems() {
+    // In tray order, starting with the favorites
+    return [...this.favoritesSection.items, ...this.batches.flatMap((batch) => batch.items)];
+  }
 
-    if (isNewBatch) {
-      this.createNewBatch(newestToOldest, newBatchIdentifier);
-    }
+  getAllImages() {
+    // Only the images that pass the rating and tag filter, so the lightbox skips the rest
+    return this.getUniqueItems(this.getFilteredItems()).map((item) => item.url);
+  }
 
-    this.addImagesToBatch(detail, filterEnabled, newestToOldest);
-    this.checkAndRemoveExtraImageBatches();
-    this.forceReflow(this.imageFeed);
+  getLightboxItems() {
+    // The selection opened in the lightbox, minus anything removed since, or else every item
+    const filteredItems = this.getFilteredItems();
+    if (!this.lightboxItems) return this.getUniqueItems(filteredItems);
+    const allItems = new Set(filteredItems);
+    return this.getUniqueItems(this.lightboxItems.filter((item) => allItems.has(item)));
   }
 
-  createNewBatch(newestToOldest, newBatchIdentifier) {
-    this.currentBatchContainer = createElement("div", {
-      className: "image-batch-container",
+  getUniqueItems(items) {
+    // Keep the first item of each URL, so a favorite is not shown twice next to its batch copy
+    const seenUrls = new Set();
+    return items.filter((item) => {
+      if (seenUrls.has(item.url)) return false;
+      seenUrls.add(item.url);
+      return true;
     });
+  }
 
-    const startBar = createElement("div", {
-      className: "image-feed-vertical-bar",
+  getImageBatchKeys() {
+    // The batch of each image, in the same order as the lightbox's image list
+    const itemBatches = new Map();
+    [this.favoritesSection, ...this.batches].forEach((batch) => {
+      batch.items.forEach((item) => itemBatches.set(item, batch));
+    });
+    return this.getLightboxItems().map((item) => itemBatches.get(item));
+  }
+
+  setSelection(selection) {
+    this.selectedItems = selection;
+    this.imageList.querySelectorAll(".image-container").forEach((imageElement) => {
+      imageElement.classList.toggle("image-container--selected", selection.has(this.thumbnailItems.get(imageElement)));
     });
-    this.currentBatchContainer.appendChild(startBar);
+    this.updateSelectionBar();
+  }
+
+  toggleSelected(item) {
+    const selection = new Set(this.selectedItems);
+    if (selection.has(item)) {
+      selection.delete(item);
+    } else {
+      selection.add(item);
+    }
+    this.selectionAnchor = item;
+    this.setSelection(selection);
+  }
+
+  selectRange(item) {
+    // Add every shown image between the last Ctrl-clicked image and this one, in tray order
+    const items = this.getFilteredItems();
+    const anchorIndex = items.indexOf(this.selectionAnchor);
+    const itemIndex = items.indexOf(item);
+    if (anchorIndex === -1) {
+      this.toggleSelected(item);
+      return;
+    }
+    const range = items.slice(Math.min(anchorIndex, itemIndex), Math.max(anchorIndex, itemIndex) + 1);
+    this.setSelection(new Set([...this.selectedItems, ...range]));
+  }
+
+  updateSelectionBar() {
+    if (!this.selectionBar) return;
+    const count = this.selectedItems.size;
+    this.selectionBar.style.display = count > 0 ? "flex" : "none";
+    this.selectionCount.textContent = `${count} selected`;
+  }
+
+  getSelectedItemsInOrder() {
+    return this.getAllItems().filter((item) => this.selectedItems.has(item));
+  }
+
+  openSelectionInLightbox() {
+    // Page through just the selection, in tray order
+    const items = this.getSelectedItemsInOrder();
+    if (items.length === 0) return;
+    this.lightboxItems = items;
+    this.lightbox.show(items.map((item) => item.url), 0);
+  }
+
+  downloadSelection() {
+    this.getSelectedItemsInOrder().forEach((item) => downloadUrl(item.url, getDownloadFilename(item.url)));
+  }
 
-    const isFirstBatch = this.imageList.children.length === 0;
-    if (isFirstBatch && newestToOldest) {
-      const endBar = createElement("div", {
-        className: "image-feed-vertical-bar",
-      });
-      this.currentBatchContainer.appendChild(endBar);
-    }
+  copySelectionLinks() {
+    const urls = this.getSelectedItemsInOrder().map((item) => item.url);
+    copyTextToClipboard(urls.join("\n"), `${urls.length} links copied to clipboard`);
+  }
 
-    if (newestToOldest) {
-      this.imageList.prepend(this.currentBatchContainer);
-    } else {
-      this.imageList.appendChild(this.currentBatchContainer);
-    }
+  getBatchOfItem(item) {
+    return [this.favoritesSection, ...this.batches].find((batch) => batch.items.includes(item));
+  }
 
-    this.currentBatchIdentifier = newBatchIdentifier;
+  downloadBatchAsZip(batch) {
+    const items = [...batch.items].sort((a, b) => a.sequence - b.sequence);
+    this.downloadItemsAsZip(items, `${batch.id}.zip`);
   }
 
-  addImagesToBatch(detail, filterEnabled, newestToOldest) {
-    detail.output.images.forEach((src) => {
-      const node = app.graph.getNodeById(parseInt(detail.node, 10));
-      if (
-        !filterEnabled ||
-        (node?.type &&
-          ELIGIBLE_NODES.includes(node.type) &&
-          this.selectedNodeIds.includes(parseInt(detail.node, 10))) ||
-        (!ELIGIBLE_NODES.includes(node.type) &&
-          this.selectedNodeIds.includes(-1))
-      ) {
-        this.addImageToBatch(src, this.currentBatchContainer, newestToOldest);
+  async downloadItemsAsZip(items, zipFilename) {
+    // Fetch each file in turn into a ZIP, keeping subfolders, with a manifest describing the run
+    if (items.length === 0) return;
+    showToast(`Preparing ZIP of ${items.length} files…`);
+
+    const manifest = { created: new Date().toISOString(), files: [] };
+    const usedPaths = new Set();
+    const failed = [];
+
+    const getUniquePath = (item) => {
+      // Previews reuse filenames, so number repeated paths
+      const basePath = [item.subfolder, item.filename].filter(Boolean).join("/");
+      let path = basePath;
+      for (let copy = 2; usedPaths.has(path); copy++) {
+        path = basePath.replace(/(\.[^./]+)?$/, ` (${copy})$1`);
       }
-    });
-  }
+      usedPaths.add(path);
+      return path;
+    };
 
-  async addImageToBatch(src, batchContainer, newestToOldest) {
-    try {
-      const baseUrl = `./view?filename=${encodeURIComponent(src.filename)}&type=${src.type}&subfolder=${encodeURIComponent(src.subfolder)}`;
-      const timestampedUrl = `${baseUrl}&t=${+new Date()}`;
-      const img = await this.loadImage(timestampedUrl);
-      img.dataset.baseUrl = baseUrl;
-      const imageElement = this.createImageElement(img, timestampedUrl, baseUrl);
-      const bars = batchContainer.querySelectorAll(".image-feed-vertical-bar");
-
-      if (bars.length === 2) {
-        bars[1].before(imageElement);
-      } else if (newestToOldest) {
-        batchContainer.firstChild.after(imageElement);
-      } else {
-        batchContainer.appendChild(imageElement);
+    const files = async function* () {
+      for (const item of items) {
+        try {
+          const response = await fetch(item.src);
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          const data = new Uint8Array(await response.arrayBuffer());
+          const path = getUniquePath(item);
+          manifest.files.push({
+            path,
+            filename: item.filename,
+            subfolder: item.subfolder,
+            type: item.type,
+            prompt_id: item.promptId ?? null,
+            node_id: item.nodeId ?? null,
+            timestamp: new Date(item.timestamp).toISOString(),
+          });
+          yield { path, data, date: new Date(item.timestamp) };
+        } catch (error) {
+          console.error(`Failed to add ${item.url} to the ZIP`, error);
+          failed.push(item.filename);
+        }
       }
+      yield { path: "manifest.json", data: new TextEncoder().encode(JSON.stringify(manifest, null, 2)) };
+    }.call(this);
 
-      this.forceReflow(batchContainer);
-      this.updateLightboxIfOpen();
+    try {
+      const zip = await createZip(files);
+      const objectUrl = URL.createObjectURL(zip);
+      downloadUrl(objectUrl, zipFilename);
+      // Give the browser time to start the download before releasing the blob
+      setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+      if (failed.length > 0) {
+        showToast(`${failed.length} of ${items.length} files could not be added to the ZIP.`);
+      }
     } catch (error) {
-      console.error("Error adding image to batch", error);
-      const placeholderImg = createElement("img", {
-        src: "https://placehold.co/512",
-        alt: "Image failed to load",
-      });
-      batchContainer.appendChild(placeholderImg);
+      console.error("Failed to create ZIP:", error);
+      showToast("Failed to create the ZIP.");
     }
   }
 
-  createImageElement(img, timestampedUrl, baseUrl) {
-    const imageElement = createElement("div", { className: "image-container" });
-    img.onclick = (e) => this.handleImageClick(e, timestampedUrl, baseUrl);
-    imageElement.appendChild(img);
-    return imageElement;
-  }
+  removeItems(items) {
+    // Take images out of the tray without deleting the files, dropping batches left empty
+    const removed = new Set(items);
+    const favoriteItems = this.favoritesSection.items.filter((item) => !removed.has(item));
+    if (favoriteItems.length !== this.favoritesSection.items.length) {
+      this.favoritesSection.items = favoriteItems;
+      this.saveFavorites();
+      this.renderFavoritesSection();
+    }
 
-  handleImageClick(e, timestampedUrl, baseUrl) {
-    e.preventDefault();
-    const state = this.getCurrentState();
-    const absoluteBaseUrl = new URL(baseUrl, window.location.origin).href;
-    const imageIndex = state.images.findIndex((img) => img.startsWith(absoluteBaseUrl));
-    if (imageIndex > -1) {
-      this.lightbox.show(state.images, imageIndex);
-    } else {
-      console.error("Clicked image not found in the list. Available images:", state.images);
-      console.error("Clicked image URL:", absoluteBaseUrl);
-      if (state.images.length > 0) {
-        this.lightbox.show(state.images, 0);
+    [...this.batches].forEach((batch) => {
+      const remaining = batch.items.filter((item) => !removed.has(item));
+      if (remaining.length === batch.items.length) return;
+
+      if (remaining.length === 0) {
+        this.batches.splice(this.batches.indexOf(batch), 1);
+        this.removeBatch(batch);
+        return;
       }
-    }
-  }
 
-  loadImage(src) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => resolve(img);
-      img.onerror = () => reject(new Error(`Failed to load image at ${src}`));
-      img.src = src;
+      batch.items = remaining;
+      this.updateBatchHeader(batch);
+      batch.el.querySelectorAll(".image-container").forEach((imageElement) => {
+        if (removed.has(this.thumbnailItems.get(imageElement))) {
+          this.thumbnailObserver.unobserve(imageElement);
+          imageElement.remove();
+        }
+      });
+      if (!batch.mounted) {
+        this.updateBatchSize(batch);
+      }
+      this.markBatchDirty(batch);
     });
+
+    removed.forEach((item) => this.forgetItem(item));
+    this.pruneLabels();
+    this.updateFavoriteMarkers();
+    this.updateSelectionBar();
+    this.updateLightboxIfOpen();
   }
 
-  getAllImages() {
-    const images = document.querySelectorAll(".tb-image-feed img");
-    return Array.from(images).map((img) => {
-      const url = new URL(img.src, window.location.origin);
-      url.searchParams.delete("t");
-      return url.href;
+  updateCompareMarkers(compareImages) {
+    this.imageList.querySelectorAll(".image-container").forEach((imageElement) => {
+      imageElement.classList.toggle("image-container--compare", compareImages.includes(imageElement.dataset.url));
     });
   }
 
   checkAndRemoveExtraImageBatches() {
-    const maxImageBatches = storage.getVal("MaxFeedLength", 25);
-    const batches = Array.from(this.imageList.querySelectorAll(".image-batch-container"));
-
-    if (batches.length <= maxImageBatches) return;
+    // Drop the oldest batches, which are at the end of the tray when it shows the newest first
+    const maxImageBatches = Number(storage.getVal("MaxFeedLength", 25));
+    const extraBatches = this.batches.length - maxImageBatches;
+    if (extraBatches <= 0) return;
 
-    batches.slice(maxImageBatches).forEach((batch) => batch.remove());
+    const newestToOldest = storage.getVal("NewestFirst", "newest") === "newest";
+    const removed = newestToOldest
+      ? this.batches.splice(maxImageBatches)
+      : this.batches.splice(0, extraBatches);
+    removed.forEach((batch) => this.removeBatch(batch));
+    this.pruneLabels();
   }
 
   clearImageFeed() {
     this.currentBatchIdentifier = null;
-    this.currentBatchContainer = null;
-    this.imageList.replaceChildren();
+    this.currentBatch = null;
+    this.batchObserver.disconnect();
+    this.thumbnailObserver.disconnect();
+    this.clearThumbnailCache();
+    this.batches = [];
+    this.itemsByUrl.clear();
+    this.dirtyBatches.clear();
+    this.selectedItems.clear();
+    this.updateSelectionBar();
+    feedStore.clear();
+    storage.setJSONVal("ClearedAt", Date.now()); // Keeps the history backfill from bringing the outputs back
+
+    // Favorites stay
+    this.favoritesSection.items.forEach((item) => this.itemsByUrl.set(item.url, item));
+    this.pruneLabels();
+    this.imageList.replaceChildren(this.favoritesSection.el);
+    this.renderFavoritesSection();
+    this.lightbox.clearCompareImages();
     window.dispatchEvent(new Event("resize"));
   }
 
@@ -988,10 +4551,27 @@ class ImageFeed {
       return;
     }
 
-    this.imageFeed.classList.remove("tb-image-feed--top", "tb-image-feed--bottom");
-    this.buttonPanel.classList.remove("tb-image-feed-btn-group--top", "tb-image-feed-btn-group--bottom");
+    this.imageFeed.classList.remove(
+      "tb-image-feed--top",
+      "tb-image-feed--bottom",
+      "tb-image-feed--left",
+      "tb-image-feed--right"
+    );
+    this.buttonPanel.classList.remove(
+      "tb-image-feed-btn-group--top",
+      "tb-image-feed-btn-group--bottom",
+      "tb-image-feed-btn-group--vertical"
+    );
+    const isVertical = feedLocation === "left" || feedLocation === "right";
+    this.imageFeed.classList.toggle("tb-image-feed--vertical", isVertical);
 
-    if (feedLocation === "top") {
+    if (isVertical) {
+      // Docked to a side, the buttons wrap along the top of the column
+      this.imageFeed.classList.add(`tb-image-feed--${feedLocation}`);
+      this.buttonPanel.classList.add("tb-image-feed-btn-group--top", "tb-image-feed-btn-group--vertical");
+      this.buttonPanel.style.top = "10px";
+      this.buttonPanel.style.bottom = "auto";
+    } else if (feedLocation === "top") {
       this.imageFeed.classList.add("tb-image-feed--top");
       this.buttonPanel.classList.add("tb-image-feed-btn-group--top");
       this.buttonPanel.style.top = "10px";
@@ -1044,6 +4624,16 @@ class ImageFeed {
   adjustFeedBasedOnSidebar(sideBarPosition, sideBarWidth) {
     this.fixedOffset = 70;
 
+    const feedLocation = this.feedLocation;
+    if (feedLocation === "left" || feedLocation === "right") {
+      // Keep clear of a sidebar on the same edge; one on the other edge does not overlap
+      const edgeOffset = sideBarPosition === feedLocation ? sideBarWidth : 0;
+      this.imageFeed.style.left = feedLocation === "left" ? `${edgeOffset}px` : "auto";
+      this.imageFeed.style.right = feedLocation === "right" ? `${edgeOffset}px` : "auto";
+      this.imageFeed.style.width = `${this.getColumnWidth(sideBarWidth)}px`;
+      return;
+    }
+
     if (sideBarPosition === "left") {
       this.imageFeed.style.left = `${sideBarWidth}px`;
       this.imageFeed.style.right = "0";
@@ -1058,7 +4648,28 @@ class ImageFeed {
     this.imageFeed.style.width = `calc(100% - ${sideBarWidth + this.fixedOffset}px)`;
   }
 
+  getColumnWidth(sideBarWidth) {
+    // Docked to a side, the tray height setting becomes the column's width
+    if (this.isGalleryLayout()) {
+      const galleryHeight = Number(storage.getJSONVal("GalleryHeight", 60));
+      return Math.round(((window.innerWidth - sideBarWidth) * galleryHeight) / 100);
+    }
+    return parseInt(getComputedStyle(this.imageFeed).getPropertyValue("--tb-feed-height")) || 300;
+  }
+
   updateFeedDimensions() {
+    // Docked to a side, the tray runs from the top to the bottom of the canvas
+    if (this.isVerticalDock()) {
+      this.imageFeed.style.height = "auto";
+      return;
+    }
+
+    // The gallery takes a share of the window instead of the strip's fixed height
+    if (this.isGalleryLayout()) {
+      const galleryHeight = Number(storage.getJSONVal("GalleryHeight", 60));
+      this.imageFeed.style.height = `${Math.round((window.innerHeight * galleryHeight) / 100)}px`;
+      return;
+    }
     const feedHeight = parseInt(getComputedStyle(this.imageFeed).getPropertyValue("--tb-feed-height")) || 300;
     this.imageFeed.style.height = `${feedHeight}px`;
   }
@@ -1066,14 +4677,17 @@ class ImageFeed {
   updateFeedPosition() {
     const comfyuiMenu = document.querySelector("nav.comfyui-menu");
     const isMenuVisible = comfyuiMenu && comfyuiMenu.offsetParent !== null;
-    const feedLocation = storage.getJSONVal("Location", "bottom");
+    const feedLocation = this.feedLocation;
 
     this.setFeedPosition(feedLocation, isMenuVisible, comfyuiMenu);
     requestAnimationFrame(() => this.adjustButtonPanelPosition());
   }
 
   setFeedPosition(feedLocation, isMenuVisible, comfyuiMenu) {
-    if (feedLocation === "top") {
+    if (feedLocation === "left" || feedLocation === "right") {
+      this.imageFeed.style.top = `${this.calculateTopPosition(isMenuVisible, comfyuiMenu)}px`;
+      this.imageFeed.style.bottom = `${this.calculateBottomPosition(isMenuVisible, comfyuiMenu)}px`;
+    } else if (feedLocation === "top") {
       const imageFeedTop = this.calculateTopPosition(isMenuVisible, comfyuiMenu);
       this.imageFeed.style.top = `${imageFeedTop}px`;
       this.imageFeed.style.bottom = "auto";
@@ -1137,6 +4751,14 @@ class ImageFeed {
 
     buttonPanel.style.bottom = "auto";
     buttonPanel.style.left = "auto";
+
+    // A column is too narrow for a single row of buttons
+    buttonPanel.style.maxWidth = this.isVerticalDock() ? `${Math.max(imageFeedRect.width - 20, 0)}px` : "";
+    // and wraps over the top of the column, so the list starts below it
+    this.imageFeed.style.setProperty(
+      "--tb-button-panel-height",
+      this.isVerticalDock() ? `${buttonPanel.offsetHeight + 20}px` : "0px"
+    );
   }
 
   waitForSideToolbar() {
@@ -1426,7 +5048,25 @@ class ImageFeed {
         this.imageFeed.style.setProperty("--tb-feed-height", newHeight);
         window.dispatchEvent(new Event("resize"));
       },
-      tooltip: "Select the height of the image feed tray.",
+      tooltip: "Select the height of the image feed tray, or its width when docked to the left or right.",
+    });
+
+    app.ui.settings.addSetting({
+      id: "simpleTray.imageFeed.GalleryHeight",
+      name: "📥 Gallery Height",
+      defaultValue: storage.getJSONVal("GalleryHeight", 60),
+      type: "combo",
+      options: [
+        { text: "40% of the window", value: 40 },
+        { text: "60% of the window", value: 60 },
+        { text: "80% of the window", value: 80 },
+        { text: "100% of the window", value: 100 },
+      ],
+      onChange: (newValue) => {
+        storage.setJSONVal("GalleryHeight", Number(newValue));
+        window.dispatchEvent(new Event("resize"));
+      },
+      tooltip: "Height of the tray in the gallery layout. The rows of the gallery are as tall as the image tray height.",
     });
 
     app.ui.settings.addSetting({
@@ -1462,6 +5102,132 @@ class ImageFeed {
       },
     });
 
+    app.ui.settings.addSetting({
+      id: "simpleTray.imageFeed.LoadHistory",
+      name: "📥 Load Recent History",
+      type: "boolean",
+      defaultValue: storage.getJSONVal("LoadHistory", false),
+      onChange: (value, oldValue) => {
+        storage.setJSONVal("LoadHistory", value);
+        // Backfill straight away when switched on, rather than on the next page load
+        if (value && oldValue === false) {
+          this.loadRecentHistory();
+        }
+      },
+      tooltip: "Fill the tray with recent outputs from the server's history when ComfyUI loads. The node filter and batch limit still apply.",
+    });
+
+    app.ui.settings.addSetting({
+      id: "simpleTray.imageFeed.MaxZoom",
+      name: "📥 Lightbox Max Zoom",
+      defaultValue: storage.getJSONVal("MaxZoom", 10),
+      type: "combo",
+      options: [
+        { text: "10x fit", value: 10 },
+        { text: "20x fit", value: 20 },
+        { text: "50x fit", value: 50 },
+        { text: "100x fit", value: 100 },
+      ],
+      onChange: (newValue) => {
+        storage.setJSONVal("MaxZoom", Number(newValue));
+      },
+      tooltip: "How far the lightbox can zoom in, relative to the size that fits the screen.",
+    });
+
+    app.ui.settings.addSetting({
+      id: "simpleTray.imageFeed.PreloadCount",
+      name: "📥 Lightbox Preload",
+      defaultValue: storage.getJSONVal("PreloadCount", 2),
+      type: "combo",
+      options: [
+        { text: "Off", value: 0 },
+        { text: "1 image each way", value: 1 },
+        { text: "2 images each way", value: 2 },
+        { text: "3 images each way", value: 3 },
+        { text: "5 images each way", value: 5 },
+      ],
+      onChange: (newValue) => {
+        storage.setJSONVal("PreloadCount", Number(newValue));
+      },
+      tooltip: "How many images before and after the current one the lightbox decodes in advance.",
+    });
+
+    app.ui.settings.addSetting({
+      id: "simpleTray.imageFeed.CacheBudget",
+      name: "📥 Lightbox Cache Size",
+      defaultValue: storage.getJSONVal("CacheBudget", 512),
+      type: "combo",
+      options: [
+        { text: "256 MB", value: 256 },
+        { text: "512 MB", value: 512 },
+        { text: "1 GB", value: 1024 },
+        { text: "2 GB", value: 2048 },
+      ],
+      onChange: (newValue) => {
+        storage.setJSONVal("CacheBudget", Number(newValue));
+      },
+      tooltip: "Memory the lightbox may use for decoded images. A 4K image takes about 33 MB.",
+    });
+
+    app.ui.settings.addSetting({
+      id: "simpleTray.imageFeed.TileCount",
+      name: "📥 Lightbox Tile Preview Grid",
+      defaultValue: storage.getJSONVal("TileCount", 3),
+      type: "combo",
+      options: [
+        { text: "2 × 2", value: 2 },
+        { text: "3 × 3", value: 3 },
+        { text: "4 × 4", value: 4 },
+        { text: "5 × 5", value: 5 },
+      ],
+      onChange: (newValue) => {
+        storage.setJSONVal("TileCount", Number(newValue));
+      },
+      tooltip: "How many copies of the image the tile preview shows along each side.",
+    });
+
+    app.ui.settings.addSetting({
+      id: "simpleTray.imageFeed.SlideshowInterval",
+      name: "📥 Slideshow Interval (seconds)",
+      defaultValue: storage.getJSONVal("SlideshowInterval", 3),
+      type: "number",
+      onChange: (newValue) => {
+        storage.setJSONVal("SlideshowInterval", Number(newValue));
+      },
+      tooltip: "Time each image is shown during a lightbox slideshow.",
+      attrs: {
+        min: "1",
+        max: "60",
+        step: "1",
+      },
+    });
+
+    app.ui.settings.addSetting({
+      id: "simpleTray.imageFeed.SlideshowLoop",
+      name: "📥 Slideshow End Behavior",
+      defaultValue: storage.getJSONVal("SlideshowLoop", true) ? "loop" : "stop",
+      type: "combo",
+      options: [
+        { text: "loop", value: "loop" },
+        { text: "stop", value: "stop" },
+      ],
+      onChange: (newValue) => {
+        storage.setJSONVal("SlideshowLoop", newValue === "loop");
+      },
+      tooltip: "Start over or stop once the slideshow has shown every image.",
+    });
+
+    app.ui.settings.addSetting({
+      id: "simpleTray.imageFeed.SlideshowShuffle",
+      name: "📥 Slideshow Shuffle",
+      type: "boolean",
+      defaultValue: storage.getJSONVal("SlideshowShuffle", false),
+      onChange: (value) => {
+        storage.setJSONVal("SlideshowShuffle", value);
+      },
+      tooltip: "Show the images of a slideshow in random order.",
+    });
+
     app.ui.settings.addSetting({
       id: "simpleTray.imageFeed.Location",
       name: "📥 Image Tray Location",
@@ -1470,13 +5236,16 @@ class ImageFeed {
       options: [
         { text: "top", value: "top" },
         { text: "bottom", value: "bottom" },
+        { text: "left", value: "left" },
+        { text: "right", value: "right" },
       ],
       onChange: (newLocation) => {
-        this.updateControlPositions(newLocation);
         storage.setJSONVal("Location", newLocation);
-        this.adjustImageTray();
+        this.feedLocation = newLocation;
+        this.updateControlPositions(newLocation);
+        this.resetBatchSizes();
       },
-      tooltip: "Choose the location of the image feed.",
+      tooltip: "Choose the location of the image feed. On the left or right, it is a column as wide as the image tray height.",
     });
 
     app.ui.settings.addSetting({
@@ -1534,37 +5303,279 @@ const styles = `
 
   .tb-image-feed--bottom { bottom: 0; top: auto; }
   .tb-image-feed--top { top: 0; bottom: auto; }
+  .tb-image-feed--left { left: 0; top: 0; bottom: 0; }
+  .tb-image-feed--right { right: 0; top: 0; bottom: 0; }
+
+  .tb-image-feed-list {
+    display: flex;
+    overflow-x: auto;  /* Enable horizontal scrolling */
+    overflow-y: hidden;
+    height: 100%;
+    width: 100%;
+    white-space: nowrap; /* Prevent wrapping */
+    touch-action: none; /* Touch scrolling with momentum is handled in setupTouchScrolling */
+  }
+
+  .image-batch-container {
+    position: relative;
+    display: flex;
+    align-items: center;
+    height: 100%;
+    flex-shrink: 0; /* Prevent shrinking */
+  }
+
+  .image-batch-header {
+    display: none;
+  }
+
+  /* Docked left or right: the feed scrolls vertically and batches stack with horizontal separators */
+  .tb-image-feed--vertical .tb-image-feed-list {
+    flex-direction: column;
+    overflow-x: hidden;
+    overflow-y: auto;
+    box-sizing: border-box;
+    padding-top: var(--tb-button-panel-height, 0px); /* Room for the buttons wrapped over the top */
+  }
+
+  .tb-image-feed--vertical:not(.tb-image-feed--gallery) .image-batch-container {
+    flex-direction: column;
+    width: 100%;
+    height: auto;
+  }
+
+  .tb-image-feed--vertical:not(.tb-image-feed--gallery) .image-feed-vertical-bar {
+    flex-shrink: 0;
+    width: 99.5%;
+    height: 4px;
+  }
+
+  .tb-image-feed--vertical:not(.tb-image-feed--gallery) .image-container {
+    width: 100%;
+    height: auto;
+  }
+
+  .tb-image-feed--vertical:not(.tb-image-feed--gallery) .image-container__thumb {
+    width: 100%;
+    height: auto;
+  }
+
+  /* Gallery layout: batches stack vertically and wrap their images into justified rows */
+  .tb-image-feed--gallery .tb-image-feed-list {
+    flex-direction: column;
+    overflow-x: hidden;
+    overflow-y: auto;
+    white-space: normal;
+  }
+
+  .tb-image-feed--gallery .image-batch-container {
+    flex-wrap: wrap;
+    align-items: flex-start;
+    align-content: flex-start;
+    gap: 4px;
+    width: 100%;
+    height: auto;
+    padding: 0 4px 8px;
+    box-sizing: border-box;
+  }
+
+  /* Takes up the free space on the last row, so its images keep their row height */
+  .tb-image-feed--gallery .image-batch-container::after {
+    content: "";
+    flex-grow: 1000;
+  }
+
+  .tb-image-feed--gallery .image-batch-header {
+    display: block;
+    flex-basis: 100%;
+    padding: 6px 4px 2px 40px; /* Leaves room for the ZIP button */
+    color: #fff;
+    font-size: 13px;
+    border-top: 2px solid var(--tb-separator-color);
+  }
+
+  .tb-image-feed--gallery .image-batch-container--favorites .image-batch-header {
+    border-top-color: #ffd700;
+  }
+
+  .tb-image-feed--gallery .image-feed-vertical-bar {
+    display: none;
+  }
+
+  .tb-image-feed--gallery .image-batch-zip {
+    top: 2px;
+    left: 4px;
+    padding: 0 4px;
+    font-size: 14px;
+  }
+
+  /* Each image grows in proportion to its aspect ratio, so a row keeps one height */
+  .tb-image-feed--gallery .image-container {
+    flex: var(--tb-aspect-ratio) 1 calc(var(--tb-aspect-ratio) * var(--tb-feed-height));
+    height: auto;
+    aspect-ratio: var(--tb-aspect-ratio);
+  }
+
+  .tb-image-feed--gallery .image-container__thumb {
+    width: 100%;
+    height: 100%;
+  }
+
+  /* Download button shown over a batch on hover */
+  .image-batch-zip {
+    position: absolute;
+    top: 6px;
+    left: 10px;
+    padding: 2px 6px;
+    font-size: 16px;
+    background-color: rgba(0, 0, 0, 0.6);
+    border: 1px solid var(--tb-border-color);
+    border-radius: 4px;
+    cursor: pointer;
+    opacity: 0;
+    transition: opacity 0.2s ease;
+    z-index: 1;
+  }
+
+  .image-batch-container:hover .image-batch-zip {
+    opacity: 1;
+  }
+
+  .image-container {
+    position: relative;
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    height: 100%;
+    width: auto; /* Allow the container to adjust its width */
+  }
+
+  .image-container__thumb {
+    height: 100%;
+    width: auto; /* Follows the thumbnail's aspect ratio */
+    cursor: pointer;
+  }
+
+  .image-container--failed {
+    position: relative;
+    opacity: 0.5;
+  }
+
+  .image-container--failed::after {
+    content: "Image failed to load";
+    position: absolute;
+    color: #fff;
+    font-size: 12px;
+    pointer-events: none;
+  }
+
+  .image-container--animated {
+    position: relative;
+  }
+
+  /* Play badge on the poster frame of videos and animations */
+  .image-container--animated::after {
+    content: "▶";
+    position: absolute;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    width: 40px;
+    height: 40px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    color: #fff;
+    font-size: 18px;
+    background-color: rgba(0, 0, 0, 0.6);
+    border: 2px solid #fff;
+    border-radius: 50%;
+    pointer-events: none;
+  }
+
+  /* Favorite toggle in the corner of each thumbnail, always shown on favorites */
+  .image-container__star {
+    position: absolute;
+    top: 4px;
+    right: 4px;
+    padding: 0 4px;
+    color: #ffd700;
+    font-size: 18px;
+    line-height: 1.2;
+    background-color: rgba(0, 0, 0, 0.5);
+    border: none;
+    border-radius: 4px;
+    cursor: pointer;
+    opacity: 0;
+    transition: opacity 0.2s ease;
+  }
+
+  .image-container:hover .image-container__star,
+  .image-container--favorite .image-container__star {
+    opacity: 1;
+  }
+
+  .image-container--filtered,
+  .image-batch-container--filtered {
+    display: none;
+  }
+
+  /* Rating and tags along the bottom of a thumbnail */
+  .image-container__labels {
+    position: absolute;
+    left: 4px;
+    right: 4px;
+    bottom: 4px;
+    display: none;
+    padding: 1px 4px;
+    overflow: hidden;
+    color: #ffd700;
+    font-size: 12px;
+    white-space: nowrap;
+    text-overflow: ellipsis;
+    background-color: rgba(0, 0, 0, 0.5);
+    border-radius: 4px;
+    pointer-events: none;
+  }
+
+  .image-container--selected {
+    position: relative;
+  }
+
+  /* Tint selected thumbnails; the canvas would cover an inset shadow */
+  .image-container--selected::before {
+    content: "";
+    position: absolute;
+    inset: 0;
+    background-color: rgba(77, 163, 255, 0.25);
+    border: 3px solid #4da3ff;
+    pointer-events: none;
+  }
 
-  .tb-image-feed-list {
-    display: flex;
-    overflow-x: auto;  /* Enable horizontal scrolling */
-    overflow-y: hidden;
-    height: 100%;
-    width: 100%;
-    white-space: nowrap; /* Prevent wrapping */
+  .tb-selection-band {
+    position: fixed;
+    background-color: rgba(77, 163, 255, 0.2);
+    border: 1px solid #4da3ff;
+    pointer-events: none;
+    z-index: 1000;
   }
 
-  .image-batch-container {
+  .tb-image-feed-selection {
     display: flex;
     align-items: center;
-    height: 100%;
-    flex-shrink: 0; /* Prevent shrinking */
+    gap: 5px;
   }
 
-  .image-container {
-    display: flex;
-    justify-content: center;
-    align-items: center;
-    height: 100%;
-    width: auto; /* Allow the container to adjust its width */
+  .tb-image-feed-selection-count {
+    padding: 0 6px;
+    color: #fff;
+    font-size: 14px;
+    white-space: nowrap;
+    text-shadow: 0 1px 2px rgba(0, 0, 0, 0.6);
   }
 
-  .image-container img {
-    max-height: 100%;
-    max-width: 100%;
-    height: auto;
-    width: auto;
-    object-fit: contain; /* Ensure the entire image is visible */
+  .image-container--compare {
+    outline: 3px solid var(--tb-separator-color);
+    outline-offset: -3px;
   }
 
   .image-feed-vertical-bar {
@@ -1573,6 +5584,10 @@ const styles = `
     background-color: var(--tb-separator-color);
   }
 
+  .image-feed-vertical-bar--favorites {
+    background-color: #ffd700;
+  }
+
   .tb-image-feed-btn-group {
     position: fixed;
     display: flex;
@@ -1590,6 +5605,30 @@ const styles = `
     bottom: 10px; /* This will be overridden by JavaScript */
   }
 
+  .tb-image-feed-btn-group--vertical {
+    flex-wrap: wrap;
+    justify-content: flex-end;
+  }
+
+  .tb-image-feed-filter {
+    display: flex;
+    gap: 5px;
+  }
+
+  .tb-image-feed-filter-rating,
+  .tb-image-feed-filter-tags {
+    padding: 6px 8px;
+    font-size: 14px;
+    color: #333;
+    background-color: rgba(255, 255, 255, 0.8);
+    border: 2px solid rgba(0, 0, 0, 0.1);
+    border-radius: 8px;
+  }
+
+  .tb-image-feed-filter-tags {
+    width: 120px;
+  }
+
   .tb-image-feed-btn {
     padding: 8px 16px;
     font-size: 15px;
@@ -1650,6 +5689,49 @@ const styles = `
     transform: translateY(1px);
   }
 
+  .tb-context-menu {
+    position: fixed;
+    display: flex;
+    flex-direction: column;
+    min-width: 180px;
+    padding: 4px;
+    background-color: var(--tb-background-color-main);
+    border: 1px solid var(--tb-border-color);
+    border-radius: 6px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+    z-index: 10001;
+  }
+
+  .tb-context-menu-item {
+    padding: 6px 12px;
+    text-align: left;
+    font-size: 14px;
+    color: #fff;
+    background: none;
+    border: none;
+    border-radius: 4px;
+    cursor: pointer;
+  }
+
+  .tb-context-menu-item:hover {
+    background-color: rgba(255, 255, 255, 0.15);
+  }
+
+  .tb-toast {
+    position: fixed;
+    bottom: 40px;
+    left: 50%;
+    transform: translateX(-50%);
+    padding: 10px 18px;
+    color: #fff;
+    font-size: 14px;
+    background-color: rgba(0, 0, 0, 0.85);
+    border: 1px solid var(--tb-separator-color);
+    border-radius: 8px;
+    pointer-events: none;
+    z-index: 10001;
+  }
+
   .modalOverlay {
     position: fixed;
     inset: 0;
@@ -1735,6 +5817,7 @@ const lightboxStyles = `
 }
 
 .lightbox__link {
+  position: relative;
   overflow: hidden;
   display: flex;
   justify-content: center;
@@ -1745,16 +5828,548 @@ const lightboxStyles = `
   border: 2px solid yellow;
 }
 
+/* Compare mode lays the panes out in a grid */
+.lightbox__link--compare {
+  display: grid;
+  grid-template-columns: repeat(var(--lightbox-columns, 2), 1fr);
+  grid-auto-rows: 1fr;
+  gap: 4px;
+}
+
+/* A pane holds one image; the image is scaled by transform only */
+.lightbox__pane {
+  position: relative;
+  overflow: hidden;
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  width: 100%;
+  height: 100%;
+  min-width: 0;
+  min-height: 0;
+  touch-action: none; /* Touch gestures are handled by the lightbox */
+}
+
+/* Follow fingers directly while a touch gesture is active */
+.lightbox__link--gesture .lightbox__img,
+.lightbox__link--gesture .lightbox__diff {
+  transition: opacity 0.2s ease-in-out;
+}
+
+.lightbox__link--compare .lightbox__pane {
+  outline: 1px solid rgba(255, 255, 0, 0.5);
+}
+
+.lightbox__pane-label {
+  display: none;
+  position: absolute;
+  bottom: 8px;
+  left: 8px;
+  max-width: calc(100% - 16px);
+  padding: 2px 8px;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  color: white;
+  font-size: 13px;
+  background: rgba(0, 0, 0, 0.6);
+  border-radius: 4px;
+  pointer-events: none;
+  z-index: 1;
+}
+
+.lightbox__link--compare .lightbox__pane-label {
+  display: block;
+}
+
+/* Overlay modes stack both panes in the same grid cell */
+.lightbox__link--overlay {
+  grid-template-columns: 1fr;
+}
+
+.lightbox__link--overlay .lightbox__pane {
+  grid-area: 1 / 1;
+  outline: none;
+}
+
+.lightbox__link--overlay .lightbox__pane-label--primary {
+  left: auto;
+  right: 8px;
+}
+
+/* Difference mode hides both images behind the difference canvas */
+.lightbox__link--difference .lightbox__img {
+  opacity: 0 !important;
+}
+
+.lightbox__diff {
+  display: none;
+  position: absolute;
+  top: 50%;
+  left: 50%;
+  transform-origin: center center;
+  transition: transform 0.2s ease-out;
+  pointer-events: none;
+}
+
+.lightbox__link--difference .lightbox__diff {
+  display: block;
+}
+
+.lightbox__swipe-handle {
+  display: none;
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  width: 4px;
+  margin-left: -2px;
+  background-color: yellow;
+  cursor: ew-resize;
+  touch-action: none;
+  z-index: 2;
+}
+
+/* Widen the grab area of the divider without widening the line */
+.lightbox__swipe-handle::before {
+  content: '';
+  position: absolute;
+  top: 0;
+  bottom: 0;
+  left: -8px;
+  right: -8px;
+}
+
+.lightbox__compare-bar {
+  position: absolute;
+  top: 10px;
+  left: 50%;
+  transform: translateX(-50%);
+  display: none;
+  align-items: center;
+  gap: 6px;
+  padding: 6px;
+  background: rgba(0, 0, 0, 0.6);
+  border-radius: 6px;
+  z-index: 2;
+}
+
+.lightbox__compare-bar--visible {
+  display: flex;
+}
+
+.lightbox__compare-btn {
+  padding: 4px 10px;
+  color: white;
+  background: rgba(255, 255, 255, 0.15);
+  border: 1px solid transparent;
+  border-radius: 4px;
+  cursor: pointer;
+}
+
+.lightbox__compare-btn--active {
+  border-color: yellow;
+  background: rgba(255, 255, 0, 0.25);
+}
+
+.lightbox__compare-opacity {
+  width: 120px;
+}
+
 .lightbox__img {
   width: auto;
   height: auto;
-  max-width: 100%;
-  max-height: 100%;
-  object-fit: contain;
+  max-width: none;
+  max-height: none;
+  flex-shrink: 0;
   transition: opacity 0.2s ease-in-out, transform 0.2s ease-out;
   transform-origin: center center;
 }
 
+/* Zoom percentage in the top left corner of the image */
+.lightbox__zoom {
+  position: absolute;
+  top: 10px;
+  left: 10px;
+  padding: 4px 10px;
+  color: white;
+  font-size: 14px;
+  font-variant-numeric: tabular-nums;
+  background: rgba(0, 0, 0, 0.5);
+  border-radius: 6px;
+  pointer-events: none;
+  z-index: 2;
+}
+
+/* Rating and tags of the image, under the zoom readout */
+.lightbox__labels {
+  position: absolute;
+  top: 48px;
+  left: 10px;
+  display: none;
+  max-width: 40%;
+  padding: 4px 10px;
+  overflow: hidden;
+  color: #ffd700;
+  font-size: 14px;
+  white-space: nowrap;
+  text-overflow: ellipsis;
+  background: rgba(0, 0, 0, 0.5);
+  border-radius: 6px;
+  pointer-events: none;
+  z-index: 2;
+}
+
+/* Icon toolbar in the top right corner of the image */
+.lightbox__toolbar {
+  position: absolute;
+  top: 10px;
+  right: 10px;
+  display: flex;
+  gap: 6px;
+  z-index: 9999;
+}
+
+.lightbox__toolbar-btn {
+  font-size: 26px;
+  color: white;
+  background: rgba(0, 0, 0, 0.5);
+  padding: 6px;
+  border-radius: 6px;
+  cursor: pointer;
+  text-align: center;
+  user-select: none;
+}
+
+.lightbox__toolbar-btn--active {
+  outline: 2px solid yellow;
+}
+
+/* "Save as…" popover below the toolbar */
+.lightbox__save-menu {
+  position: absolute;
+  top: 70px;
+  right: 10px;
+  display: none;
+  flex-direction: column;
+  gap: 8px;
+  width: 220px;
+  padding: 10px;
+  color: white;
+  font-size: 13px;
+  background: rgba(20, 20, 20, 0.92);
+  border: 1px solid yellow;
+  border-radius: 8px;
+  z-index: 9999;
+}
+
+.lightbox__save-menu--visible {
+  display: flex;
+}
+
+.lightbox__save-title {
+  margin-top: 4px;
+  color: #aaa;
+}
+
+.lightbox__save-row {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+}
+
+.lightbox__save-quality {
+  flex: 1;
+}
+
+.lightbox__save-value {
+  width: 36px;
+  text-align: right;
+}
+
+.lightbox__save-formats {
+  display: flex;
+  gap: 6px;
+}
+
+.lightbox__save-btn {
+  flex: 1;
+  padding: 4px 10px;
+  color: white;
+  background: rgba(255, 255, 255, 0.15);
+  border: 1px solid transparent;
+  border-radius: 4px;
+  cursor: pointer;
+}
+
+.lightbox__save-btn:hover {
+  border-color: yellow;
+}
+
+/* Generation info side panel */
+.lightbox__info {
+  position: absolute;
+  top: 5%;
+  right: 10px;
+  width: 340px;
+  max-height: 90%;
+  overflow-y: auto;
+  display: none;
+  padding: 12px 16px;
+  box-sizing: border-box;
+  color: white;
+  font-size: 13px;
+  background: rgba(20, 20, 20, 0.92);
+  border: 1px solid yellow;
+  border-radius: 8px;
+  user-select: text;
+  z-index: 3;
+}
+
+.lightbox__info--visible {
+  display: block;
+}
+
+.lightbox__info-title {
+  margin: 0 0 10px;
+  font-size: 15px;
+  word-break: break-all;
+}
+
+.lightbox__info-subtitle {
+  margin: 14px 0 6px;
+  font-size: 14px;
+  color: yellow;
+}
+
+.lightbox__info-row {
+  display: flex;
+  gap: 8px;
+  padding: 3px 0;
+}
+
+.lightbox__info-label {
+  flex: 0 0 80px;
+  color: #aaa;
+}
+
+.lightbox__info-value {
+  flex: 1;
+  white-space: pre-wrap;
+  word-break: break-word;
+}
+
+.lightbox__info-message {
+  margin: 0;
+  color: #ccc;
+}
+
+/* Playback bar for videos */
+.lightbox__video-controls {
+  position: absolute;
+  bottom: 10px;
+  left: 50%;
+  transform: translateX(-50%);
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  padding: 6px 10px;
+  background: rgba(0, 0, 0, 0.6);
+  border-radius: 6px;
+  z-index: 2;
+}
+
+.lightbox__video-btn {
+  min-width: 34px;
+  padding: 4px 8px;
+  color: white;
+  font-size: 16px;
+  background: rgba(255, 255, 255, 0.15);
+  border: 1px solid transparent;
+  border-radius: 4px;
+  cursor: pointer;
+}
+
+.lightbox__video-btn--active {
+  border-color: yellow;
+}
+
+.lightbox__video-time {
+  min-width: 110px;
+  color: white;
+  font-size: 13px;
+  font-variant-numeric: tabular-nums;
+  text-align: right;
+}
+
+/* Histogram overlay */
+.lightbox__histogram {
+  position: absolute;
+  left: 10px;
+  bottom: 10px;
+  padding: 6px;
+  background: rgba(0, 0, 0, 0.7);
+  border-radius: 6px;
+  pointer-events: auto;
+  z-index: 2;
+}
+
+.lightbox__histogram-canvas {
+  display: block;
+  width: 256px;
+  height: 100px;
+}
+
+/* Single-channel views, using the SVG filters in .lightbox__filters */
+.lightbox__filters {
+  position: absolute;
+  width: 0;
+  height: 0;
+  overflow: hidden;
+}
+
+.lightbox__link--channel-r .lightbox__img,
+.lightbox__link--channel-r .lightbox__tile {
+  filter: url(#simpleTray-channel-r);
+}
+
+.lightbox__link--channel-g .lightbox__img,
+.lightbox__link--channel-g .lightbox__tile {
+  filter: url(#simpleTray-channel-g);
+}
+
+.lightbox__link--channel-b .lightbox__img,
+.lightbox__link--channel-b .lightbox__tile {
+  filter: url(#simpleTray-channel-b);
+}
+
+.lightbox__link--channel-a .lightbox__img,
+.lightbox__link--channel-a .lightbox__tile {
+  filter: url(#simpleTray-channel-a);
+}
+
+/* Checkerboard behind transparent images; the alpha view needs a transparent background to read alpha */
+.lightbox__link--checkerboard:not(.lightbox__link--channel-a) .lightbox__img {
+  background-color: #ccc;
+  background-image: conic-gradient(#fff 25%, #ccc 0 50%, #fff 0 75%, #ccc 0);
+  background-size: 16px 16px;
+}
+
+/* Tile preview, centred absolutely like the difference canvas */
+.lightbox__tile {
+  display: none;
+  position: absolute;
+  top: 50%;
+  left: 50%;
+  background-image: var(--tile-image);
+  background-size: var(--tile-size);
+  background-repeat: repeat;
+  transform-origin: center center;
+  transition: transform 0.2s ease-out;
+}
+
+.lightbox__tile--seams {
+  background-image:
+    linear-gradient(to right, rgba(255, 0, 255, 0.9) var(--tile-seam-width), transparent 0),
+    linear-gradient(to bottom, rgba(255, 0, 255, 0.9) var(--tile-seam-width), transparent 0),
+    var(--tile-image);
+}
+
+/* Checkerboard under each copy of the image, drawn as the last background layer */
+.lightbox__link--checkerboard:not(.lightbox__link--channel-a) .lightbox__tile {
+  background-color: #ccc;
+  background-image: var(--tile-image), conic-gradient(#fff 25%, #ccc 0 50%, #fff 0 75%, #ccc 0);
+  background-size: var(--tile-size), 16px 16px;
+}
+
+.lightbox__link--checkerboard:not(.lightbox__link--channel-a) .lightbox__tile--seams {
+  background-image:
+    linear-gradient(to right, rgba(255, 0, 255, 0.9) var(--tile-seam-width), transparent 0),
+    linear-gradient(to bottom, rgba(255, 0, 255, 0.9) var(--tile-seam-width), transparent 0),
+    var(--tile-image),
+    conic-gradient(#fff 25%, #ccc 0 50%, #fff 0 75%, #ccc 0);
+  background-size: var(--tile-size), var(--tile-size), var(--tile-size), 16px 16px;
+}
+
+.lightbox__link--gesture .lightbox__tile {
+  transition: none;
+}
+
+/* Pixel inspector */
+.lightbox__link--inspecting .lightbox__img,
+.lightbox__link--inspecting .lightbox__tile {
+  cursor: crosshair !important;
+}
+
+.lightbox__loupe {
+  position: fixed;
+  display: none;
+  padding: 6px;
+  background: rgba(20, 20, 20, 0.92);
+  border: 1px solid yellow;
+  border-radius: 8px;
+  pointer-events: none;
+  z-index: 10;
+}
+
+.lightbox__loupe-canvas {
+  display: block;
+  image-rendering: pixelated;
+  border: 1px solid #555;
+}
+
+.lightbox__loupe-readout {
+  margin-top: 6px;
+  color: white;
+  font-family: monospace;
+  font-size: 12px;
+  white-space: pre;
+}
+
+/* Filmstrip of every feed image along the bottom */
+.lightbox__filmstrip {
+  position: absolute;
+  left: 5%;
+  right: 5%;
+  bottom: 10px;
+  height: 70px;
+  display: none;
+  align-items: center;
+  gap: 4px;
+  padding: 4px;
+  overflow-x: auto;
+  overflow-y: hidden;
+  background: rgba(0, 0, 0, 0.6);
+  border-radius: 6px;
+  z-index: 2;
+}
+
+.lightbox__filmstrip-thumb {
+  height: 100%;
+  width: auto;
+  flex-shrink: 0;
+  opacity: 0.6;
+  border: 2px solid transparent;
+  box-sizing: border-box;
+  cursor: pointer;
+  transition: opacity 0.2s ease-in-out;
+}
+
+.lightbox__filmstrip-thumb:hover {
+  opacity: 0.9;
+}
+
+.lightbox__filmstrip-thumb--active {
+  opacity: 1;
+  border-color: yellow;
+}
+
+.lightbox__filmstrip-bar {
+  align-self: stretch;
+  width: 4px;
+  flex-shrink: 0;
+  background-color: yellow;
+}
+
 /* Base styles for arrow buttons */
 .lightbox__prev, .lightbox__next {
   position: absolute;